@@ -0,0 +1,121 @@
+/**
+ * SafeSpace AI — Analysis Cache
+ * Bounded LRU cache of classifier results, kept in chrome.storage.session so it
+ * survives service-worker restarts but is wiped when the browser closes.
+ * Entries are keyed by a SHA-256 of the normalized text plus the classifier
+ * scope and attribute set. Only the hash and scores are stored — never the text.
+ */
+
+const CACHE_KEY = "safespace_analysis_cache";
+const PERSIST_DELAY = 1000;
+
+let entries = null;   // Map<hash, { result, storedAt }> — insertion order is LRU order
+let counters = { hits: 0, misses: 0 };
+let loading = null;
+let persistTimer = null;
+
+// ─── Storage ─────────────────────────────────────────────────────────────────
+
+function load() {
+  if (entries) return Promise.resolve();
+  if (!loading) {
+    loading = chrome.storage.session.get(CACHE_KEY).then((data) => {
+      const stored = data[CACHE_KEY] || {};
+      entries = new Map(stored.entries || []);
+      counters = { hits: 0, misses: 0, ...(stored.counters || {}) };
+      loading = null;
+    });
+  }
+  return loading;
+}
+
+/** Write back at most once per second — lookups happen in bursts of 10. */
+function schedulePersist() {
+  clearTimeout(persistTimer);
+  persistTimer = setTimeout(() => {
+    chrome.storage.session.set({ [CACHE_KEY]: { entries: [...entries], counters } });
+  }, PERSIST_DELAY);
+}
+
+// ─── Keys ────────────────────────────────────────────────────────────────────
+
+function normalizeText(text) {
+  return String(text).normalize("NFKC").trim().replace(/\s+/g, " ");
+}
+
+/**
+ * Build the cache key for one text.
+ * @param {string} text
+ * @param {string[]} attributes - Requested attribute names (order-insensitive)
+ * @param {string} scope - Identifies the classifier, e.g. "perspective"
+ */
+export async function cacheKey(text, attributes, scope) {
+  const material = [normalizeText(text), [...attributes].sort().join(","), scope].join("␟");
+  const buf = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(material));
+  return Array.from(new Uint8Array(buf)).map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// ─── Lookup ──────────────────────────────────────────────────────────────────
+
+/**
+ * Return the cached result for `key`, or null on a miss or expired entry.
+ * @param {string} key
+ * @param {number} ttlMs - Maximum entry age
+ */
+export async function getCached(key, ttlMs) {
+  await load();
+  const entry = entries.get(key);
+
+  if (!entry || Date.now() - entry.storedAt > ttlMs) {
+    if (entry) entries.delete(key);
+    counters.misses += 1;
+    schedulePersist();
+    return null;
+  }
+
+  // Re-insert to mark as most recently used
+  entries.delete(key);
+  entries.set(key, entry);
+  counters.hits += 1;
+  schedulePersist();
+  return entry.result;
+}
+
+/**
+ * Store a result, evicting least recently used entries beyond `maxEntries`.
+ * @param {string} key
+ * @param {Object} result - { scores, maxScore, dominantCategory, provider, spans? }
+ * @param {number} maxEntries
+ */
+export async function putCached(key, { scores, maxScore, dominantCategory, provider, spans }, maxEntries) {
+  await load();
+  entries.delete(key);
+  // Spans are offsets into the text, not the text itself
+  entries.set(key, { result: { scores, maxScore, dominantCategory, provider, spans }, storedAt: Date.now() });
+
+  while (entries.size > maxEntries) {
+    entries.delete(entries.keys().next().value);
+  }
+  schedulePersist();
+}
+
+// ─── Maintenance ─────────────────────────────────────────────────────────────
+
+export async function clearCache() {
+  await load();
+  clearTimeout(persistTimer);
+  entries.clear();
+  counters = { hits: 0, misses: 0 };
+  await chrome.storage.session.remove(CACHE_KEY);
+}
+
+export async function getCacheStats() {
+  await load();
+  const lookups = counters.hits + counters.misses;
+  return {
+    entries: entries.size,
+    hits: counters.hits,
+    misses: counters.misses,
+    hitRate: lookups ? counters.hits / lookups : 0,
+  };
+}
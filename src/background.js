@@ -5,16 +5,44 @@
  */
 
 import { Utils } from "./helpers.js";
+import {
+  FILTER_ATTRIBUTES, getProvider, listProviders, normalizeScores, normalizeSpans,
+} from "./classifiers.js";
+import {
+  cacheKey, getCached, putCached, clearCache, getCacheStats,
+} from "./analysis-cache.js";
+import { createScheduler } from "./rate-limiter.js";
+import { findSiteRule, applySiteRule } from "./site-rules.js";
+import { SCHEDULE_ALARM, activeSchedule, applySchedule, nextBoundary } from "./schedules.js";
+import {
+  recordOffense, getMutedAuthors, listOffenders, setMuted, clearOffenders,
+} from "./offender-ledger.js";
+import {
+  addEvidence, listEvidence, readableEvidence, verifyChain, deleteEvidence, clearVault, importLegacyEvidence,
+  vaultStatus, enableEncryption, unlockVault, lockVault, changePassphrase, disableEncryption,
+} from "./evidence-vault.js";
+import { pushSettings, pullSettings, isRemoteChange } from "./settings-sync.js";
+import { mergeSettings } from "./settings-transfer.js";
+import { recordDay, pruneDays, DEFAULT_RETENTION_DAYS } from "./stats-history.js";
+import { SETTINGS_SCHEMA, STATS_SCHEMA, currentVersion, loadMigrated, runMigrations } from "./migrations.js";
+import {
+  setPin, clearPin, hasPin, verifyPin, relock, lockStatus, pinRequired, protectedChanges, withoutProtected,
+} from "./parental-lock.js";
 
 // ─── Constants ───────────────────────────────────────────────────────────────
 
-const PERSPECTIVE_API_URL =
-  "https://commentanalyzer.googleapis.com/v1alpha1/comments:analyze";
-
 const DEFAULT_SETTINGS = {
   enabled: true,
-  sensitivityThreshold: 0.7,      // 0.0 – 1.0
+  sensitivityThreshold: 0.7,      // 0.0 – 1.0, default for every category
+  provider: "perspective",         // Classifier provider id (see classifiers.js)
   apiKey: "",                      // User-supplied Perspective API key
+  customEndpointUrl: "",           // Self-hosted classifier endpoint
+  customEndpointToken: "",         // Optional bearer token for that endpoint
+  offlineFallback: true,           // Use the on-device classifier when the API is unavailable
+  cacheEnabled: true,              // Reuse scores for text seen before (hash + scores only)
+  cacheTtlHours: 24,
+  cacheMaxEntries: 2000,
+  rateLimitQps: 1,                 // Classifier requests per second, shared by all tabs
   filters: {
     toxicity: true,
     severeToxicity: true,
@@ -23,55 +51,127 @@ const DEFAULT_SETTINGS = {
     identityAttack: true,
     sexuallyExplicit: false,
   },
+  thresholds: {},                  // Per-category threshold, keyed like filters
   evidenceMode: false,
   notificationsEnabled: true,
   blurStrength: "medium",          // "light" | "medium" | "heavy"
+  maskMode: "block",               // "block" | "precise" (blur only offending sentences)
   parentalLock: false,
+  siteRules: [],                   // Per-domain overrides (see site-rules.js)
+  schedules: [],                   // Profiles applied on set days and times (see schedules.js)
+  muteWords: [],                   // User mute list, matched on-device (see content/mute-list.js)
+  composerCheck: false,            // "Pause before you post" nudge on the user's own drafts
+  autoMuteAfter: 3,                // Hide an author's posts on a site after this many detections (0 = off)
+  syncSettings: false,             // Roam portable settings through chrome.storage.sync (see settings-sync.js)
+  navigatorPanel: false,           // Floating list of flagged items on each page
+  statsRetentionDays: DEFAULT_RETENTION_DAYS, // Days of daily stats to keep (see stats-history.js)
 };
 
-const STATS_KEY = "safespace_stats";
-const SETTINGS_KEY = "safespace_settings";
+const STATS_KEY = STATS_SCHEMA.key;
+const TAB_COUNTS_KEY = "safespace_tab_counts";   // chrome.storage.session — survives worker restarts
+const ACTIVE_SCHEDULE_KEY = "safespace_active_schedule"; // chrome.storage.session — id tabs were last told about
+const SETTINGS_KEY = SETTINGS_SCHEMA.key;
+const RECENT_EVENTS_LIMIT = 200;   // Searched in the options page's History section
+
+// One scheduler for every tab so the combined request rate stays within quota
+const scheduler = createScheduler({ qps: DEFAULT_SETTINGS.rateLimitQps });
 
 // ─── Lifecycle ────────────────────────────────────────────────────────────────
 
 chrome.runtime.onInstalled.addListener(async ({ reason }) => {
   if (reason === "install") {
-    await chrome.storage.local.set({ [SETTINGS_KEY]: DEFAULT_SETTINGS });
     await chrome.storage.local.set({
-      [STATS_KEY]: {
-        totalScanned: 0,
-        totalBlocked: 0,
-        sessionsProtected: 0,
-        byCategory: {},
-        recentEvents: [],
-      },
+      [SETTINGS_KEY]: { ...DEFAULT_SETTINGS, schemaVersion: currentVersion(SETTINGS_SCHEMA) },
     });
+    await chrome.storage.local.set({ [STATS_KEY]: emptyStats() });
     console.log("[SafeSpace AI] Installed & initialized.");
+  } else if (reason === "update") {
+    await runMigrations();
+    await importLegacyEvidence();
+  }
+  await refreshSchedule();
+});
+
+// Alarms may not survive a browser restart — set the next schedule switch again
+chrome.runtime.onStartup.addListener(() => refreshSchedule());
+
+chrome.alarms.onAlarm.addListener(({ name }) => {
+  if (name === SCHEDULE_ALARM) refreshSchedule();
+});
+
+// Track active tabs for session counting and request priority
+chrome.tabs.onActivated.addListener(async ({ tabId }) => {
+  scheduler.setActiveTab(tabId);
+  await updateStats((stats) => { stats.sessionsProtected += 1; });
+});
+
+// A new page in a tab starts its badge over; closed tabs are forgotten
+chrome.tabs.onUpdated.addListener((tabId, { status }) => {
+  if (status === "loading") resetTabCount(tabId);
+});
+chrome.tabs.onRemoved.addListener((tabId) => resetTabCount(tabId));
+
+// Keyboard shortcuts for the on-page navigator — the content script does the jumping
+chrome.commands.onCommand.addListener((command, tab) => {
+  const step = { "next-flagged": 1, "previous-flagged": -1 }[command];
+  if (step && tab?.id !== undefined) {
+    chrome.tabs.sendMessage(tab.id, { type: "NAVIGATE_FLAGGED", payload: { step } }).catch(() => {});
   }
 });
 
-// Track active tabs for session counting
-chrome.tabs.onActivated.addListener(async () => {
-  const stats = await getStats();
-  stats.sessionsProtected += 1;
-  await saveStats(stats);
+// The worker may have restarted since the last onActivated — recover the active tab
+chrome.tabs.query({ active: true, lastFocusedWindow: true }).then(([tab]) => {
+  if (tab?.id !== undefined) scheduler.setActiveTab(tab.id);
 });
 
+// Another device changed synced settings — take them over if this one syncs too
+chrome.storage.onChanged.addListener(async (changes, area) => {
+  if (area !== "sync" || !(await isRemoteChange(changes))) return;
+  if ((await getSettings()).syncSettings) await applySyncedSettings();
+});
+
+// Captures from before the vault lived in chrome.storage.local — move them over once
+importLegacyEvidence().catch((err) => console.warn("[SafeSpace AI] Evidence import failed:", err));
+
 // ─── Message Router ──────────────────────────────────────────────────────────
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   (async () => {
     switch (message.type) {
       case "ANALYZE_TEXT":
-        sendResponse(await analyzeText(message.payload));
+        sendResponse(await analyzeText(message.payload, sender.tab?.id, sender.url));
+        break;
+
+      case "GET_PROVIDERS":
+        sendResponse(listProviders());
         break;
 
       case "GET_SETTINGS":
-        sendResponse(await getSettings());
+        // With a URL, return the settings in effect on that page (site rule applied)
+        sendResponse(message.payload?.url
+          ? await getEffectiveSettings(message.payload.url)
+          : await getSettings());
         break;
 
       case "SAVE_SETTINGS":
+        if (await needsPin(message.payload)) { sendResponse(PIN_REQUIRED); break; }
         await saveSettings(message.payload);
+        await refreshSchedule();
+        sendResponse({ success: true });
+        break;
+
+      case "SYNC_STATUS":
+        sendResponse(await getSyncStatus());
+        break;
+
+      case "SYNC_ENABLE":
+        if (await needsPin({ syncSettings: true })) { sendResponse(PIN_REQUIRED); break; }
+        sendResponse(await enableSync(!!message.payload?.useRemote));
+        break;
+
+      case "SYNC_DISABLE":
+        if (await needsPin({ syncSettings: false })) { sendResponse(PIN_REQUIRED); break; }
+        await saveSettings({ syncSettings: false });
         sendResponse({ success: true });
         break;
 
@@ -80,39 +180,133 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         break;
 
       case "RECORD_SCANNED":
-        await recordScanned(message.payload.count || 0);
+        await recordScanned(message.payload.count || 0, sender.url);
         sendResponse({ success: true });
         break;
 
       case "RECORD_DETECTION":
-        await recordDetection(message.payload);
+        await recordDetection(message.payload, sender.tab?.id);
+        await recordOffender(message.payload);
+        sendResponse({ success: true });
+        break;
+
+      case "RESET_PAGE_COUNT":
+        await resetTabCount(sender.tab?.id);
+        sendResponse({ success: true });
+        break;
+
+      case "GET_MUTED_AUTHORS":
+        sendResponse(await getMutedAuthors(message.payload?.url || sender.url));
+        break;
+
+      case "GET_OFFENDERS":
+        sendResponse(await listOffenders());
+        break;
+
+      case "MUTE_AUTHOR":
+      case "UNMUTE_AUTHOR": {
+        if (message.type === "UNMUTE_AUTHOR" && await pinRequired(await getSettings())) { sendResponse(PIN_REQUIRED); break; }
+        const entry = await setMuted(message.payload.key, message.type === "MUTE_AUTHOR");
+        if (entry) {
+          notifyTabs({ type: "MUTED_AUTHORS_UPDATED", payload: { author: entry.author, domain: entry.domain, muted: entry.muted, reason: "user" } });
+        }
+        sendResponse({ success: !!entry, entry });
+        break;
+      }
+
+      case "CLEAR_OFFENDERS":
+        if (await pinRequired(await getSettings())) { sendResponse(PIN_REQUIRED); break; }
+        await clearOffenders();
+        notifyTabs({ type: "MUTED_AUTHORS_UPDATED", payload: { reason: "cleared" } });
         sendResponse({ success: true });
         break;
 
       case "CLEAR_STATS":
+        if (await pinRequired(await getSettings())) { sendResponse(PIN_REQUIRED); break; }
         await clearStats();
         sendResponse({ success: true });
         break;
 
+      case "GET_CACHE_STATS":
+        sendResponse(await getCacheStats());
+        break;
+
+      case "CLEAR_CACHE":
+        await clearCache();
+        sendResponse({ success: true });
+        break;
+
       case "CAPTURE_EVIDENCE":
-        await captureEvidence(message.payload, sender.tab);
+        sendResponse(await captureEvidence(message.payload, sender.tab));
+        break;
+
+      case "GET_EVIDENCE":
+        sendResponse(await listEvidence(message.payload?.limit));
+        break;
+
+      case "VERIFY_EVIDENCE":
+        sendResponse(await verifyChain(await readableEvidence()));
+        break;
+
+      case "DELETE_EVIDENCE":
+        if (await pinRequired(await getSettings())) { sendResponse(PIN_REQUIRED); break; }
+        sendResponse({ success: await deleteEvidence(message.payload.seq) });
+        break;
+
+      case "CLEAR_EVIDENCE":
+        if (await pinRequired(await getSettings())) { sendResponse(PIN_REQUIRED); break; }
+        await clearVault();
+        sendResponse({ success: true });
+        break;
+
+      case "VAULT_STATUS":
+        sendResponse(await vaultStatus());
+        break;
+
+      case "VAULT_ENABLE":
+        sendResponse(await enableEncryption(message.payload.passphrase));
+        break;
+
+      case "VAULT_UNLOCK":
+        sendResponse(await unlockVault(message.payload.passphrase));
+        break;
+
+      case "VAULT_LOCK":
+        await lockVault();
         sendResponse({ success: true });
         break;
 
+      case "VAULT_CHANGE_PASSPHRASE":
+        sendResponse(await changePassphrase(message.payload.current, message.payload.next));
+        break;
+
+      case "VAULT_DISABLE":
+        sendResponse(await disableEncryption(message.payload.passphrase));
+        break;
+
       case "PARENTAL_SET_PIN":
-        sendResponse(await setParentalPin(message.payload.pin));
+        // Replacing a PIN takes the current one (the unlock window)
+        if (await hasPin() && await pinRequired(await getSettings())) { sendResponse(PIN_REQUIRED); break; }
+        sendResponse(await setPin(message.payload.pin));
         break;
 
       case "PARENTAL_VERIFY_PIN":
-        sendResponse(await verifyParentalPin(message.payload.pin));
+        // Only the popup and options page may unlock settings, not PINs typed on web pages
+        sendResponse(await verifyPin(message.payload.pin, { unlock: isExtensionPage(sender) }));
         break;
 
       case "PARENTAL_GET_STATUS":
-        sendResponse(await getParentalStatus());
+        sendResponse(await lockStatus());
+        break;
+
+      case "PARENTAL_RELOCK":
+        await relock();
+        sendResponse({ success: true });
         break;
 
       case "PARENTAL_CLEAR_PIN":
-        await clearParentalPin();
+        if (await pinRequired(await getSettings())) { sendResponse(PIN_REQUIRED); break; }
+        await clearPin();
         sendResponse({ success: true });
         break;
 
@@ -123,18 +317,28 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   return true; // Keep message channel open for async response
 });
 
-// ─── Perspective API Integration ─────────────────────────────────────────────
+// ─── Text Analysis ───────────────────────────────────────────────────────────
 
 /**
- * Analyzes a batch of text snippets using the Perspective API.
- * @param {Object} payload - { texts: string[], requestedAttributes: string[] }
+ * Analyzes a batch of text snippets with the configured classifier provider.
+ * @param {Object} payload - { texts: string[], requestedAttributes: string[], draft?: boolean,
+ *   lastTry?: boolean[] } — lastTry: the tab won't re-queue that text again
+ * @param {number} [tabId] - Requesting tab, used to prioritize the active tab
+ * @param {string} [pageUrl] - Requesting page, whose site rule decides the filters
  * @returns {Promise<Object[]>} Array of analysis results
  */
-async function analyzeText({ texts, requestedAttributes }) {
-  const settings = await getSettings();
-
-  if (!settings.apiKey) {
-    return { error: "NO_API_KEY", message: "Please add your Perspective API key in settings." };
+async function analyzeText({ texts, requestedAttributes, draft = false, lastTry = [] }, tabId, pageUrl) {
+  const settings = pageUrl ? await getEffectiveSettings(pageUrl) : await getSettings();
+  const provider = getProvider(settings.provider);
+  const configured = !!provider && provider.isConfigured(settings);
+
+  if (!configured && !settings.offlineFallback) {
+    if (!provider) {
+      return { error: "UNKNOWN_PROVIDER", message: `Unknown classifier provider "${settings.provider}".` };
+    }
+    return provider.requiresApiKey
+      ? { error: "NO_API_KEY", message: "Please add your Perspective API key in settings." }
+      : { error: "PROVIDER_NOT_CONFIGURED", message: `Please configure ${provider.label} in settings.` };
   }
 
   if (!settings.enabled) {
@@ -142,206 +346,390 @@ async function analyzeText({ texts, requestedAttributes }) {
   }
 
   // Build requested attributes from enabled filters
-  const attributes = {};
-  const filterMap = {
-    toxicity: "TOXICITY",
-    severeToxicity: "SEVERE_TOXICITY",
-    threat: "THREAT",
-    insult: "INSULT",
-    identityAttack: "IDENTITY_ATTACK",
-    sexuallyExplicit: "SEXUALLY_EXPLICIT",
-  };
-
-  const activeFilters = requestedAttributes ||
+  const attributes = requestedAttributes ||
     Object.entries(settings.filters)
       .filter(([, enabled]) => enabled)
-      .map(([key]) => filterMap[key])
+      .map(([key]) => FILTER_ATTRIBUTES[key])
       .filter(Boolean);
 
-  activeFilters.forEach((attr) => (attributes[attr] = {}));
+  // Provider not set up — protect the page on-device instead of doing nothing
+  if (!configured) {
+    return Promise.all(texts.map(async (text) => ({
+      text, ...(await classifyTextOffline(text, attributes, "not_configured")),
+    })));
+  }
 
-  // Batch process texts — Perspective API handles one text per request
+  // Check the cache first — reloads and rescans repeat most of a page's text.
+  // Drafts from the composer check leave no trace, not even a hash.
+  const useCache = settings.cacheEnabled && !provider.offline && !draft;
+  const scope = (provider.id === "custom" ? `custom:${settings.customEndpointUrl}` : provider.id) +
+    (settings.maskMode === "precise" ? "+spans" : "");
+  const ttlMs = settings.cacheTtlHours * 3_600_000;
+  const keys = useCache
+    ? await Promise.all(texts.map((text) => cacheKey(text, attributes, scope)))
+    : [];
+  const cached = useCache
+    ? await Promise.all(keys.map((key) => getCached(key, ttlMs)))
+    : [];
+
+  // Batch process texts — providers handle one text per request
   const results = await Promise.allSettled(
-    texts.map((text) => callPerspectiveAPI(text, attributes, settings.apiKey))
+    texts.map((text, i) => (cached[i]
+      ? Promise.resolve({ ...cached[i], offline: false, cached: true })
+      : classifyText(provider, text, attributes, settings, tabId)))
   );
 
-  return results.map((result, i) => ({
-    text: texts[i],
-    ...(result.status === "fulfilled" ? result.value : { error: result.reason?.message }),
+  return Promise.all(results.map(async (result, i) => {
+    if (result.status === "fulfilled") {
+      if (useCache && !cached[i] && !result.value.skipped) {
+        putCached(keys[i], result.value, settings.cacheMaxEntries);
+      }
+      return { text: texts[i], ...result.value };
+    }
+    // Still throttled after every retry and the tab has given up re-queuing it —
+    // score it on-device rather than leave it unfiltered through an outage
+    if (result.reason?.retryable && lastTry[i] && settings.offlineFallback) {
+      return { text: texts[i], ...(await classifyTextOffline(texts[i], attributes, "rate_limited")), apiError: result.reason.message };
+    }
+    // Still throttled after every retry — tell the tab to re-queue it for later
+    if (result.reason?.retryable) {
+      return { text: texts[i], error: result.reason.message, retry: true };
+    }
+    // Network or API failure — fall back per text so one bad call doesn't leave a gap
+    return settings.offlineFallback
+      ? { text: texts[i], ...(await classifyTextOffline(texts[i], attributes, "api_error")), apiError: result.reason?.message }
+      : { text: texts[i], error: result.reason?.message };
   }));
 }
 
-async function callPerspectiveAPI(text, requestedAttributes, apiKey) {
+async function classifyText(provider, text, attributes, settings, tabId) {
   if (!text || text.trim().length < 10) {
     return { skipped: true, reason: "too_short" };
   }
 
-  const body = {
-    comment: { text },
-    requestedAttributes,
-    languages: ["en"],
-    doNotStore: true, // Privacy: Perspective should not store the text
-  };
-
-  const response = await fetch(`${PERSPECTIVE_API_URL}?key=${apiKey}`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(body),
-  });
-
-  if (!response.ok) {
-    const err = await response.json().catch(() => ({}));
-    throw new Error(err?.error?.message || `HTTP ${response.status}`);
+  // Remote providers go through the shared scheduler; on-device scoring is free
+  let raw;
+  if (provider.offline) {
+    raw = await provider.classify(text, attributes, settings);
+  } else {
+    scheduler.setRate(settings.rateLimitQps);
+    raw = await scheduler.schedule(
+      () => provider.classify(text, attributes, settings),
+      { tabId }
+    );
   }
-
-  const data = await response.json();
-
-  // Extract scores
-  const scores = {};
-  let maxScore = 0;
-  let dominantCategory = null;
-
-  Object.entries(data.attributeScores || {}).forEach(([attr, val]) => {
-    const score = val.summaryScore?.value ?? 0;
-    scores[attr.toLowerCase()] = score;
-    if (score > maxScore) {
-      maxScore = score;
-      dominantCategory = attr.toLowerCase();
-    }
-  });
+  // Span-capable providers return { scores, spanScores } in precise mode
+  const rawScores = raw?.spanScores ? raw.scores : raw;
+  const { scores, maxScore, dominantCategory } = normalizeScores(rawScores, attributes);
 
   return {
     scores,
     maxScore,
     dominantCategory,
+    ...(raw?.spanScores && { spans: normalizeSpans(raw.spanScores, attributes) }),
+    provider: provider.id,
+    offline: !!provider.offline,
     isToxic: maxScore >= 0, // Caller decides based on threshold
   };
 }
 
+/**
+ * Score a text with the on-device lexicon classifier, labelled as offline
+ * so the badge and stats show that protection is degraded.
+ */
+async function classifyTextOffline(text, attributes, reason) {
+  const result = await classifyText(getProvider("offline"), text, attributes);
+  return result.skipped ? result : { ...result, offlineReason: reason };
+}
+
 // ─── Statistics ───────────────────────────────────────────────────────────────
 
-async function recordDetection({ category, score, url }) {
-  const stats = await getStats();
-  stats.totalBlocked += 1;
+async function recordDetection({ category, score, url, offline, meta }, tabId) {
+  const { statsRetentionDays } = await getSettings();
+  const domain = url ? new URL(url).hostname : "unknown";
+  await updateStats((stats) => {
+    stats.totalBlocked += 1;
+    if (offline) stats.offlineBlocked = (stats.offlineBlocked || 0) + 1;
 
-  if (category) {
-    stats.byCategory[category] = (stats.byCategory[category] || 0) + 1;
-  }
+    if (category) {
+      stats.byCategory[category] = (stats.byCategory[category] || 0) + 1;
+    }
 
-  // Keep last 50 events (no text content stored — privacy)
-  stats.recentEvents.unshift({
-    timestamp: Date.now(),
-    category,
-    score: Math.round(score * 100),
-    domain: url ? new URL(url).hostname : "unknown",
+    // Keep the latest events (no text content stored — privacy)
+    stats.recentEvents.unshift({
+      timestamp: Date.now(),
+      category,
+      score: Math.round(score * 100),
+      domain,
+      offline: !!offline,
+      site: meta?.site || null,
+      author: meta?.author || null,
+    });
+    if (stats.recentEvents.length > RECENT_EVENTS_LIMIT) stats.recentEvents.pop();
+
+    recordDay(stats.daily, { domain, category: category || "unknown" });
+    pruneDays(stats.daily, statsRetentionDays);
   });
-  if (stats.recentEvents.length > 50) stats.recentEvents.pop();
 
-  await saveStats(stats);
+  await countTabDetection(tabId);
+}
+
+/**
+ * Add a detection to the offender ledger and apply the auto-mute rule. Tabs
+ * are told when an author is newly muted so their posts hide everywhere.
+ */
+async function recordOffender({ category, url, meta }) {
+  const settings = await getSettings();
+  const result = await recordOffense(meta, url, category, settings.autoMuteAfter);
+  if (!result?.newlyMuted) return;
 
-  // Badge
-  chrome.action.setBadgeText({ text: String(stats.totalBlocked) });
-  chrome.action.setBadgeBackgroundColor({ color: "#e05c7a" });
+  const { author, domain, count } = result.entry;
+  notifyTabs({ type: "MUTED_AUTHORS_UPDATED", payload: { author, domain, muted: true, count, reason: "rule" } });
 }
 
 async function clearStats() {
-  await chrome.storage.local.set({
-    [STATS_KEY]: {
-      totalScanned: 0,
-      totalBlocked: 0,
-      sessionsProtected: 0,
-      byCategory: {},
-      recentEvents: [],
-    },
+  await updateStats(() => emptyStats());
+}
+
+async function recordScanned(count, url) {
+  const { statsRetentionDays } = await getSettings();
+  await updateStats((stats) => {
+    stats.totalScanned = (stats.totalScanned || 0) + count;
+    recordDay(stats.daily, { domain: url ? new URL(url).hostname : "unknown", scanned: count });
+    pruneDays(stats.daily, statsRetentionDays);
   });
-  chrome.action.setBadgeText({ text: "" });
 }
 
-async function recordScanned(count) {
-  const stats = await getStats();
-  stats.totalScanned = (stats.totalScanned || 0) + count;
-  await saveStats(stats);
+// ─── Page Counts ──────────────────────────────────────────────────────────────
+// Detections on each tab's current page, shown on that tab's toolbar badge.
+
+let tabCountsLoad = null;
+
+/** @returns {Promise<Map<number, number>>} Loaded once, then kept in memory */
+function tabCounts() {
+  tabCountsLoad ||= chrome.storage.session.get(TAB_COUNTS_KEY).then((data) => (
+    new Map(Object.entries(data[TAB_COUNTS_KEY] || {}).map(([tabId, count]) => [Number(tabId), count]))
+  ));
+  return tabCountsLoad;
+}
+
+async function saveTabCount(tabId, counts) {
+  const count = counts.get(tabId) || 0;
+  // The tab may already be gone
+  chrome.action.setBadgeText({ tabId, text: count ? String(count) : "" }).catch(() => {});
+  chrome.action.setBadgeBackgroundColor({ tabId, color: "#e05c7a" }).catch(() => {});
+  await chrome.storage.session.set({ [TAB_COUNTS_KEY]: Object.fromEntries(counts) });
+}
+
+async function countTabDetection(tabId) {
+  if (tabId === undefined) return;
+  const counts = await tabCounts();
+  counts.set(tabId, (counts.get(tabId) || 0) + 1);
+  await saveTabCount(tabId, counts);
+}
+
+async function resetTabCount(tabId) {
+  const counts = await tabCounts();
+  if (!counts.delete(tabId)) return;
+  await saveTabCount(tabId, counts);
 }
 
 // ─── Evidence Capture ─────────────────────────────────────────────────────────
 
-async function captureEvidence({ text, scores, url, timestamp }, tab) {
-  const evidence = {
-    id: `ev_${Date.now()}`,
-    text: text.substring(0, 500), // Limit stored text
-    scores,
+/**
+ * Store a capture in the evidence vault, with a screenshot of the tab when
+ * it's the one on screen (captureVisibleTab can only see the visible tab).
+ */
+async function captureEvidence({ text, scores, url, timestamp, meta, context }, tab) {
+  let screenshot = null;
+  if (tab?.active) {
+    try {
+      screenshot = await chrome.tabs.captureVisibleTab(tab.windowId, { format: "png" });
+    } catch (err) {
+      console.warn("[SafeSpace AI] Screenshot failed:", err);
+    }
+  }
+
+  const record = await addEvidence({
     url,
-    timestamp,
     tabTitle: tab?.title || "",
-  };
-
-  const existing = (await chrome.storage.local.get("safespace_evidence"))
-    .safespace_evidence || [];
-  existing.unshift(evidence);
-  if (existing.length > 20) existing.pop(); // Keep last 20 captures
-
-  await chrome.storage.local.set({ safespace_evidence: existing });
+    pageTimestamp: timestamp,
+    text,
+    scores,
+    meta: meta || null,           // { site, author, authorUrl, timestamp, permalink, parent }
+    context: context || null,     // { parentText, neighbours, html } — see adapters.js context()
+    screenshot,
+  });
+  return { success: true, seq: record.seq, screenshot: !!screenshot };
 }
 
 // ─── Parental Lock ────────────────────────────────────────────────────────────
+// PIN hashing, lockout and the unlock window live in parental-lock.js
 
-async function hashPin(pin) {
-  const data = new TextEncoder().encode("safespace_pin_v1:" + String(pin));
-  const buf  = await crypto.subtle.digest("SHA-256", data);
-  return Array.from(new Uint8Array(buf)).map(b => b.toString(16).padStart(2,"0")).join("");
-}
+const PIN_REQUIRED = { success: false, error: "PIN_REQUIRED" };
 
-async function setParentalPin(pin) {
-  await chrome.storage.local.set({
-    safespace_parental: { pinHash: await hashPin(pin), setAt: Date.now() },
-  });
-  return { success: true };
+/** Whether saving `incoming` changes protected settings while the lock is closed. */
+async function needsPin(incoming) {
+  const current = await getSettings();
+  if (protectedChanges(current, incoming).length === 0) return false;
+  return pinRequired(current);
 }
 
-async function verifyParentalPin(pin) {
-  const { safespace_parental: p } = await chrome.storage.local.get("safespace_parental");
-  if (!p?.pinHash) return { success: false, error: "no_pin_set" };
-  return { success: (await hashPin(String(pin))) === p.pinHash };
+function isExtensionPage(sender) {
+  return sender.id === chrome.runtime.id && !!sender.url?.startsWith(chrome.runtime.getURL(""));
 }
 
-async function getParentalStatus() {
-  const { safespace_parental: p } = await chrome.storage.local.get("safespace_parental");
-  return { hasPIN: !!(p?.pinHash) };
+// ─── Schedules ────────────────────────────────────────────────────────────────
+
+/**
+ * Tell tabs when the active schedule has changed, and set the alarm for the
+ * next start or end. Runs on that alarm, at startup and when settings change.
+ */
+async function refreshSchedule() {
+  const settings = await getSettings();
+  const id = activeSchedule(settings.schedules)?.id ?? null;
+  const { [ACTIVE_SCHEDULE_KEY]: previous = null } = await chrome.storage.session.get(ACTIVE_SCHEDULE_KEY);
+  if (id !== previous) {
+    await chrome.storage.session.set({ [ACTIVE_SCHEDULE_KEY]: id });
+    notifyTabs({ type: "SETTINGS_UPDATED" });
+  }
+
+  const next = nextBoundary(settings.schedules);
+  if (next) await chrome.alarms.create(SCHEDULE_ALARM, { when: next.getTime() });
+  else await chrome.alarms.clear(SCHEDULE_ALARM);
 }
 
-async function clearParentalPin() {
-  await chrome.storage.local.remove("safespace_parental");
+// ─── Tab Messaging ────────────────────────────────────────────────────────────
+
+/** Tell every tab's content script about a change made outside it. */
+async function notifyTabs(message) {
+  const tabs = await chrome.tabs.query({});
+  tabs.forEach((tab) => {
+    if (tab.id) chrome.tabs.sendMessage(tab.id, message).catch(() => {});
+  });
 }
 
 // ─── Storage Helpers ──────────────────────────────────────────────────────────
 
 async function getSettings() {
-  const data = await chrome.storage.local.get(SETTINGS_KEY);
-  const stored = data[SETTINGS_KEY] || {};
+  // Migrated first, so the defaults below only fill keys the schema doesn't cover
+  const stored = (await loadMigrated(SETTINGS_SCHEMA)) || { schemaVersion: currentVersion(SETTINGS_SCHEMA) };
+  const sensitivityThreshold = stored.sensitivityThreshold ?? DEFAULT_SETTINGS.sensitivityThreshold;
   return {
     ...DEFAULT_SETTINGS,
     ...stored,
     // Deep-merge filters so new keys added to DEFAULT_SETTINGS always get their default value
     filters: { ...DEFAULT_SETTINGS.filters, ...(stored.filters || {}) },
+    // Categories without their own threshold inherit the global sensitivity
+    thresholds: Object.fromEntries(
+      Object.keys(DEFAULT_SETTINGS.filters).map((key) => [
+        key, stored.thresholds?.[key] ?? sensitivityThreshold,
+      ])
+    ),
   };
 }
 
-async function saveSettings(settings) {
+/**
+ * Settings as they apply on one page: the user's settings, then the active
+ * schedule's profile, then the matching site rule (the most specific wins).
+ */
+async function getEffectiveSettings(url) {
+  const settings = await getSettings();
+  const scheduled = applySchedule(settings, activeSchedule(settings.schedules));
+  return applySiteRule(scheduled, findSiteRule(settings.siteRules, url));
+}
+
+/**
+ * @param {Object} settings - Changed keys (or full settings) to merge in
+ * @param {{ push?: boolean }} options - push: false for changes that came from sync
+ */
+async function saveSettings(settings, { push = true } = {}) {
   const current = await getSettings();
-  await chrome.storage.local.set({ [SETTINGS_KEY]: { ...current, ...settings } });
+  // siteRule and schedule only exist on effective settings — never persist them
+  const { siteRule, schedule, ...incoming } = settings;
+  const merged = { ...current, ...incoming };
+  await chrome.storage.local.set({ [SETTINGS_KEY]: merged });
+  if (push && merged.syncSettings) await pushSettings(merged);
 }
 
-async function getStats() {
-  const data = await chrome.storage.local.get(STATS_KEY);
-  return data[STATS_KEY] || {
+// ─── Settings Sync ────────────────────────────────────────────────────────────
+
+async function getSyncStatus() {
+  const [settings, remote] = await Promise.all([getSettings(), pullSettings()]);
+  return { enabled: !!settings.syncSettings, remoteUpdatedAt: remote?.updatedAt || null };
+}
+
+/**
+ * Turn sync on, starting from the synced settings (useRemote) or from this
+ * device's, which are then uploaded.
+ * Synced settings pass the parental lock check in applySyncedSettings.
+ */
+async function enableSync(useRemote) {
+  if (useRemote && await applySyncedSettings()) {
+    await saveSettings({ syncSettings: true }, { push: false });
+    return { success: true };
+  }
+  await saveSettings({ syncSettings: true }, { push: false });
+  const result = await pushSettings(await getSettings());
+  if (!result.success) await saveSettings({ syncSettings: false }, { push: false });
+  return result;
+}
+
+/**
+ * Merge synced settings into this device's. While the parental lock is closed,
+ * protected settings from other devices are left out — nobody entered the PIN here.
+ * @returns {Promise<boolean>} false when nothing is synced
+ */
+async function applySyncedSettings() {
+  const remote = await pullSettings();
+  if (!remote) return false;
+  if (remote.errors.length) console.warn("[SafeSpace AI] Ignored synced settings:", remote.errors);
+  const current = await getSettings();
+  let incoming = remote.settings;
+  if (await pinRequired(current)) {
+    const held = protectedChanges(current, incoming);
+    if (held.length) console.warn("[SafeSpace AI] Parental lock kept synced changes out:", held);
+    incoming = withoutProtected(incoming);
+  }
+  await saveSettings(mergeSettings(current, incoming), { push: false });
+  await refreshSchedule();
+  notifyTabs({ type: "SETTINGS_UPDATED" });
+  return true;
+}
+
+function emptyStats() {
+  return {
+    schemaVersion: currentVersion(STATS_SCHEMA),
     totalScanned: 0,
     totalBlocked: 0,
+    offlineBlocked: 0,
     sessionsProtected: 0,
     byCategory: {},
     recentEvents: [],
+    daily: {},                       // Per-day buckets (see stats-history.js)
   };
 }
 
-async function saveStats(stats) {
-  await chrome.storage.local.set({ [STATS_KEY]: stats });
+async function getStats() {
+  return (await loadMigrated(STATS_SCHEMA)) || emptyStats();
+}
+
+// Scans, detections and tab switches arrive together — apply them one at a
+// time so no update reads stats another is about to overwrite
+let statsQueue = Promise.resolve();
+
+/**
+ * Change stats in place, or replace them, and save.
+ * @param {(stats: Object) => Object|void} change - Returns replacement stats, if any
+ * @returns {Promise<Object>} The saved stats
+ */
+function updateStats(change) {
+  const run = statsQueue.then(async () => {
+    const current = await getStats();
+    const stats = change(current) || current;
+    await chrome.storage.local.set({ [STATS_KEY]: stats });
+    return stats;
+  });
+  statsQueue = run.catch(() => {});
+  return run;
 }
\ No newline at end of file
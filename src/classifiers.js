@@ -0,0 +1,262 @@
+/**
+ * SafeSpace AI — Classifier Providers
+ * Registry of text classification backends used by background.js.
+ * Every provider returns raw per-category scores; normalizeScores() turns
+ * them into the { scores, maxScore, dominantCategory } shape content.js expects.
+ * Providers that can also locate the offending text return
+ * { scores, spanScores } instead, normalized by normalizeSpans().
+ */
+
+import { classifyOffline } from "./offline-classifier.js";
+
+// ─── Constants ───────────────────────────────────────────────────────────────
+
+const PERSPECTIVE_API_URL =
+  "https://commentanalyzer.googleapis.com/v1alpha1/comments:analyze";
+
+/** Settings filter key → Perspective attribute name. */
+export const FILTER_ATTRIBUTES = {
+  toxicity: "TOXICITY",
+  severeToxicity: "SEVERE_TOXICITY",
+  threat: "THREAT",
+  insult: "INSULT",
+  identityAttack: "IDENTITY_ATTACK",
+  sexuallyExplicit: "SEXUALLY_EXPLICIT",
+};
+
+// Label names commonly returned by self-hosted moderation models, mapped onto
+// our category names (lower snake case of the Perspective attributes).
+const CATEGORY_ALIASES = {
+  toxic: "toxicity",
+  severe_toxic: "severe_toxicity",
+  threatening: "threat",
+  violence: "threat",
+  harassment_threatening: "threat",
+  insulting: "insult",
+  harassment: "insult",
+  identity_hate: "identity_attack",
+  hate: "identity_attack",
+  hate_speech: "identity_attack",
+  sexual: "sexually_explicit",
+  sexual_explicit: "sexually_explicit",
+  nsfw: "sexually_explicit",
+};
+
+// ─── Registry ────────────────────────────────────────────────────────────────
+
+const providers = new Map();
+
+/**
+ * Register a classifier provider.
+ * @param {Object} provider - { id, label, requiresApiKey, isConfigured(settings), classify(text, attributes, settings) }
+ */
+export function registerProvider(provider) {
+  if (!provider?.id || typeof provider.classify !== "function") {
+    throw new Error("Classifier provider needs an id and a classify() function");
+  }
+  providers.set(provider.id, provider);
+}
+
+export function getProvider(id) {
+  return providers.get(id) || null;
+}
+
+/**
+ * Serializable provider descriptions for the popup's provider picker.
+ */
+export function listProviders() {
+  return [...providers.values()].map(({ id, label, description, requiresApiKey }) => ({
+    id, label, description, requiresApiKey: !!requiresApiKey,
+  }));
+}
+
+// ─── Normalization ───────────────────────────────────────────────────────────
+
+/**
+ * Map any label spelling ("SEVERE_TOXICITY", "identityAttack", "Identity Hate")
+ * onto our lower snake case category name.
+ */
+export function normalizeCategory(label) {
+  const key = String(label)
+    .replace(/([a-z])([A-Z])/g, "$1_$2")
+    .replace(/[\s-]+/g, "_")
+    .toLowerCase();
+  return CATEGORY_ALIASES[key] || key;
+}
+
+/**
+ * Normalize raw provider scores into the shape handleAnalysisResult expects.
+ * Only categories in `attributes` are kept; scores are clamped to 0–1.
+ * @param {Object} rawScores - { [label]: number }
+ * @param {string[]} attributes - Requested Perspective attribute names
+ */
+export function normalizeScores(rawScores, attributes) {
+  const wanted = new Set(attributes.map(normalizeCategory));
+  const scores = {};
+  let maxScore = 0;
+  let dominantCategory = null;
+
+  Object.entries(rawScores || {}).forEach(([label, value]) => {
+    const category = normalizeCategory(label);
+    const score = Math.min(1, Math.max(0, Number(value) || 0));
+    if (!wanted.has(category)) return;
+    // Several source labels can alias to one category — keep the highest
+    if (scores[category] !== undefined && scores[category] >= score) return;
+    scores[category] = score;
+    if (score > maxScore) {
+      maxScore = score;
+      dominantCategory = category;
+    }
+  });
+
+  return { scores, maxScore, dominantCategory };
+}
+
+/**
+ * Flatten per-category span scores into one list sorted by position.
+ * Offsets index into the text that was classified.
+ * @param {Object} rawSpans - { [label]: [{ begin, end, score }] }; score may be a number or { value }
+ * @param {string[]} attributes - Requested Perspective attribute names
+ * @returns {{ begin: number, end: number, category: string, score: number }[]}
+ */
+export function normalizeSpans(rawSpans, attributes) {
+  const wanted = new Set(attributes.map(normalizeCategory));
+  const spans = [];
+
+  Object.entries(rawSpans || {}).forEach(([label, list]) => {
+    const category = normalizeCategory(label);
+    if (!wanted.has(category) || !Array.isArray(list)) return;
+    list.forEach(({ begin = 0, end, score }) => {
+      if (!(end > begin)) return;
+      const value = typeof score === "object" ? score?.value : score;
+      spans.push({ begin, end, category, score: Math.min(1, Math.max(0, Number(value) || 0)) });
+    });
+  });
+
+  return spans.sort((a, b) => a.begin - b.begin || b.score - a.score);
+}
+
+// ─── HTTP Errors ─────────────────────────────────────────────────────────────
+
+/**
+ * Build an Error for a failed response, carrying `status` and `retryAfter`
+ * (seconds) so the scheduler can tell quota and server errors apart.
+ */
+async function httpError(response) {
+  const err = await response.json().catch(() => ({}));
+  const message = err?.error?.message || (typeof err?.error === "string" ? err.error : "");
+  const error = new Error(message || `HTTP ${response.status}`);
+  error.status = response.status;
+  error.retryAfter = Number(response.headers.get("Retry-After")) || 0;
+  return error;
+}
+
+// ─── Perspective API ─────────────────────────────────────────────────────────
+
+/**
+ * Score one text with Perspective.
+ * @param {Object} [options]
+ * @param {boolean} [options.spans] - Also request per-sentence span scores (precise masking)
+ */
+async function callPerspectiveAPI(text, attributes, apiKey, { spans = false } = {}) {
+  const requestedAttributes = {};
+  attributes.forEach((attr) => (requestedAttributes[attr] = {}));
+
+  const body = {
+    comment: { text },
+    requestedAttributes,
+    languages: ["en"],
+    doNotStore: true, // Privacy: Perspective should not store the text
+    spanAnnotations: spans,
+  };
+
+  const response = await fetch(`${PERSPECTIVE_API_URL}?key=${apiKey}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+
+  if (!response.ok) throw await httpError(response);
+
+  const data = await response.json();
+
+  const scores = {};
+  const spanScores = {};
+  Object.entries(data.attributeScores || {}).forEach(([attr, val]) => {
+    scores[attr] = val.summaryScore?.value ?? 0;
+    if (val.spanScores) spanScores[attr] = val.spanScores;
+  });
+  return spans ? { scores, spanScores } : scores;
+}
+
+registerProvider({
+  id: "perspective",
+  label: "Google Perspective",
+  description: "Hosted toxicity model — needs a free API key",
+  requiresApiKey: true,
+  isConfigured: (settings) => !!settings.apiKey,
+  classify: (text, attributes, settings) =>
+    callPerspectiveAPI(text, attributes, settings.apiKey, { spans: settings.maskMode === "precise" }),
+});
+
+// ─── Self-hosted HTTP endpoint ───────────────────────────────────────────────
+
+/**
+ * Extract a flat { label: score } map from the response shapes common
+ * moderation servers produce:
+ *   { scores: { toxicity: 0.9 } }            — SafeSpace convention
+ *   { toxicity: 0.9, insult: 0.2 }           — flat map
+ *   [{ label: "toxic", score: 0.9 }]         — text-classification pipelines
+ *   { results: [{ category_scores: {…} }] }  — moderation APIs
+ */
+function extractEndpointScores(data) {
+  if (Array.isArray(data)) {
+    const list = Array.isArray(data[0]) ? data[0] : data;
+    return Object.fromEntries(
+      list.filter((item) => item && item.label !== undefined)
+        .map((item) => [item.label, item.score])
+    );
+  }
+  if (data?.scores && typeof data.scores === "object") return extractEndpointScores(data.scores);
+  if (Array.isArray(data?.results)) return data.results[0]?.category_scores || {};
+  if (data && typeof data === "object") {
+    return Object.fromEntries(Object.entries(data).filter(([, v]) => typeof v === "number"));
+  }
+  return {};
+}
+
+async function callCustomEndpoint(text, attributes, { customEndpointUrl, customEndpointToken }) {
+  const headers = { "Content-Type": "application/json" };
+  if (customEndpointToken) headers.Authorization = `Bearer ${customEndpointToken}`;
+
+  const response = await fetch(customEndpointUrl, {
+    method: "POST",
+    headers,
+    body: JSON.stringify({ text, categories: attributes.map(normalizeCategory) }),
+  });
+
+  if (!response.ok) throw await httpError(response);
+
+  return extractEndpointScores(await response.json());
+}
+
+registerProvider({
+  id: "custom",
+  label: "Self-hosted endpoint",
+  description: "Any HTTP server that accepts text and returns per-category scores",
+  requiresApiKey: false,
+  isConfigured: (settings) => /^https?:\/\//i.test(settings.customEndpointUrl || ""),
+  classify: callCustomEndpoint,
+});
+
+// ─── On-device ───────────────────────────────────────────────────────────────
+
+registerProvider({
+  id: "offline",
+  label: "On-device (offline)",
+  description: "Built-in word lists — private and free, but less accurate",
+  requiresApiKey: false,
+  offline: true,
+  isConfigured: () => true,
+  classify: async (text, attributes) => classifyOffline(text, attributes),
+});
@@ -0,0 +1,437 @@
+/**
+ * SafeSpace AI — Site Adapters
+ * Tells the content script where the messages are on sites we know well, and
+ * who wrote them. Loaded before content.js (see manifest) and exposed as
+ * window.SafeSpaceAdapters, since content scripts can't use ES imports.
+ *
+ * An adapter declares:
+ *   id            — short site name stored with detections
+ *   matches(host) — whether it handles this hostname
+ *   itemSelector  — one element per comment / post / message
+ *   bodySelector  — the text body inside an item (the part that gets blurred)
+ *   meta(item)    — { author, authorUrl, timestamp, permalink, parent }
+ *   parentText(item) — optional; text of the post or comment the item replies to
+ *   sendButtonSelector — optional; the composer's send button, so a held
+ *                  "pause before you post" send can be replayed (see composer.js)
+ *   sendsOnEnter  — optional; plain Enter sends from the site's editors instead
+ *                  of starting a new line (chat apps)
+ */
+
+(function () {
+  "use strict";
+
+  if (window.SafeSpaceAdapters) return;
+
+  // ─── Helpers ─────────────────────────────────────────────────────────────────
+
+  function text(el) {
+    return el?.textContent?.trim().replace(/\s+/g, " ") || null;
+  }
+
+  function absUrl(href) {
+    if (!href) return null;
+    try { return new URL(href, window.location.href).href; } catch { return null; }
+  }
+
+  function timeOf(el) {
+    const time = el?.querySelector("time[datetime]");
+    return time?.getAttribute("datetime") || text(el?.querySelector("time")) || null;
+  }
+
+  // Limits for evidence context, so one capture stays a reasonable size
+  const SNIPPET_CHARS = 500;
+  const MAX_SEND_BUTTON_DISTANCE = 12; // ancestors between a composer and its send button
+  const SNAPSHOT_CHARS = 20000;
+  const MIN_NEIGHBOUR_CHARS = 15;
+
+  // SafeSpace's own badges and buttons; the blur wrapper itself holds page content
+  const OWN_UI = "[data-safespace]:not(.safespace-blur-wrapper)";
+
+  /** Text of an element without any SafeSpace controls inside it. */
+  function pageText(el) {
+    if (!el?.querySelector(OWN_UI)) return text(el);
+    const clone = el.cloneNode(true);
+    clone.querySelectorAll(OWN_UI).forEach((ui) => ui.remove());
+    return text(clone);
+  }
+
+  // ─── Twitter / X ─────────────────────────────────────────────────────────────
+
+  const twitter = {
+    id: "twitter",
+    matches: (host) => /(^|\.)(twitter|x)\.com$/.test(host),
+    itemSelector: "article[data-testid='tweet']",
+    bodySelector: "[data-testid='tweetText']",
+    sendButtonSelector: "[data-testid='tweetButton'], [data-testid='tweetButtonInline']",
+    meta(item) {
+      const profile = item.querySelector("[data-testid='User-Name'] a[href^='/']");
+      const handle = profile?.getAttribute("href")?.slice(1).split("/")[0];
+      const status = item.querySelector("a[href*='/status/'] time")?.closest("a");
+
+      // "Replying to @someone" sits above the tweet text on replies
+      const replyLink = [...item.querySelectorAll("a[href^='/']")]
+        .find((a) => a.closest("div")?.textContent?.trim().startsWith("Replying to"));
+      const parentHandle = replyLink?.getAttribute("href")?.slice(1);
+
+      return {
+        author: handle ? `@${handle}` : null,
+        authorUrl: handle ? absUrl(`/${handle}`) : null,
+        timestamp: timeOf(item),
+        permalink: absUrl(status?.getAttribute("href")),
+        parent: parentHandle ? { author: `@${parentHandle}`, permalink: null } : null,
+      };
+    },
+  };
+
+  // ─── Reddit (new "shreddit" and old.reddit.com) ──────────────────────────────
+
+  function isShreddit(item) {
+    return item.tagName === "SHREDDIT-COMMENT" || item.tagName === "SHREDDIT-POST";
+  }
+
+  function redditParent(item) {
+    if (isShreddit(item)) {
+      const parentId = item.getAttribute("parentid");
+      return parentId ? document.querySelector(`shreddit-comment[thingid='${CSS.escape(parentId)}']`) : null;
+    }
+    return item.parentElement?.closest(".thing.comment") || null;
+  }
+
+  const reddit = {
+    id: "reddit",
+    matches: (host) => /(^|\.)reddit\.com$/.test(host),
+    itemSelector: "shreddit-comment, shreddit-post, .thing.comment, .thing.link",
+    bodySelector: "[slot='comment'], [slot='text-body'], .usertext-body .md",
+    sendButtonSelector: "button[slot='submit-button'], .usertext-buttons button.save",
+    meta(item) {
+      const parent = redditParent(item);
+
+      // New Reddit keeps everything in attributes on the custom element
+      if (isShreddit(item)) {
+        const author = item.getAttribute("author");
+        return {
+          author: author ? `u/${author}` : null,
+          authorUrl: author ? absUrl(`/user/${author}`) : null,
+          timestamp: item.getAttribute("created-timestamp") || timeOf(item),
+          permalink: absUrl(item.getAttribute("permalink")),
+          parent: parent
+            ? { author: `u/${parent.getAttribute("author")}`, permalink: absUrl(parent.getAttribute("permalink")) }
+            : null,
+        };
+      }
+
+      const author = item.dataset.author;
+      return {
+        author: author ? `u/${author}` : null,
+        authorUrl: author ? absUrl(`/user/${author}`) : null,
+        timestamp: timeOf(item.querySelector(".tagline")),
+        permalink: absUrl(item.dataset.permalink),
+        parent: parent
+          ? { author: parent.dataset.author ? `u/${parent.dataset.author}` : null, permalink: absUrl(parent.dataset.permalink) }
+          : null,
+      };
+    },
+    parentText(item) {
+      return pageText(redditParent(item)?.querySelector(this.bodySelector));
+    },
+  };
+
+  // ─── YouTube ─────────────────────────────────────────────────────────────────
+
+  // Replies live inside the thread of the top-level comment they answer
+  function youtubeParent(item) {
+    const thread = item.closest("ytd-comment-thread-renderer");
+    const top = thread?.querySelector("#comment, ytd-comment-view-model, ytd-comment-renderer");
+    return top && top !== item && !top.contains(item) ? top : null;
+  }
+
+  const youtube = {
+    id: "youtube",
+    matches: (host) => /(^|\.)youtube\.com$/.test(host),
+    itemSelector: "ytd-comment-view-model, ytd-comment-renderer",
+    bodySelector: "#content-text",
+    sendButtonSelector: "#submit-button button, #submit-button",
+    meta(item) {
+      const authorLink = item.querySelector("#author-text");
+      const published = item.querySelector("#published-time-text a");
+      const parent = youtubeParent(item);
+
+      return {
+        author: text(authorLink),
+        authorUrl: absUrl(authorLink?.getAttribute("href")),
+        timestamp: text(published),
+        permalink: absUrl(published?.getAttribute("href")),
+        parent: parent
+          ? { author: text(parent.querySelector("#author-text")), permalink: absUrl(parent.querySelector("#published-time-text a")?.getAttribute("href")) }
+          : null,
+      };
+    },
+    parentText(item) {
+      return pageText(youtubeParent(item)?.querySelector(this.bodySelector));
+    },
+  };
+
+  // ─── Discord ─────────────────────────────────────────────────────────────────
+
+  const discord = {
+    id: "discord",
+    matches: (host) => /(^|\.)discord\.com$/.test(host),
+    itemSelector: "li[id^='chat-messages-']",
+    bodySelector: "[id^='message-content-']:not([class*='repliedTextContent'])",
+    sendsOnEnter: true,
+    // No sendButtonSelector: Discord sends on Enter only, so held drafts can't be replayed
+    meta(item) {
+      // Consecutive messages from one person only show the name on the first
+      let header = item;
+      while (header && !header.querySelector("[id^='message-username-']")) {
+        header = header.previousElementSibling;
+      }
+      const username = header?.querySelector("[id^='message-username-'] [class*='username']")
+        || header?.querySelector("[id^='message-username-']");
+
+      // li#chat-messages-<channelId>-<messageId>; the URL holds /channels/<guild>/<channel>
+      const messageId = item.id.split("-").pop();
+      const [, , guildId, channelId] = window.location.pathname.split("/");
+
+      const reply = item.querySelector("[id^='message-reply-context-']");
+      return {
+        author: text(username),
+        authorUrl: null,
+        timestamp: timeOf(item),
+        permalink: guildId && channelId ? absUrl(`/channels/${guildId}/${channelId}/${messageId}`) : null,
+        parent: reply ? { author: text(reply.querySelector("[class*='username']")), permalink: null } : null,
+      };
+    },
+    parentText(item) {
+      // Discord only shows a one-line preview of the replied-to message
+      return text(item.querySelector("[id^='message-reply-context-'] [class*='repliedTextContent']"));
+    },
+  };
+
+  // ─── Generic fallback ────────────────────────────────────────────────────────
+
+  const CONTENT_SELECTORS = [
+    "[class*='comment']", "[class*='reply']", "[class*='post']",
+    "[class*='tweet']", "[class*='message']", "[class*='review']",
+    "[class*='feedback']", "[class*='discussion']",
+    "p", "li", "blockquote", "article",
+    "[data-testid*='tweet']", "[data-testid*='comment']",
+    ".comment-body", ".message-text", ".post-content",
+    "[class*='bubble']", "[class*='chat']",
+  ].join(",");
+
+  const AUTHOR_SELECTORS = "[rel='author'], [itemprop='author'], [class*='author'], [class*='username'], [class*='user-name']";
+
+  const generic = {
+    id: "generic",
+    matches: () => true,
+    itemSelector: CONTENT_SELECTORS,
+    bodySelector: null,
+    meta(item) {
+      // Best effort: look for an author/time inside the nearest comment-like container
+      const container = item.closest("article, li, [class*='comment'], [class*='post']") || item;
+      const author = container.querySelector(AUTHOR_SELECTORS);
+      const authorLink = author?.closest("a") || author?.querySelector("a");
+      return {
+        author: text(author)?.slice(0, 80) || null,
+        authorUrl: absUrl(authorLink?.getAttribute("href")),
+        timestamp: timeOf(container),
+        permalink: null,
+        parent: null,
+      };
+    },
+  };
+
+  const ADAPTERS = [twitter, reddit, youtube, discord];
+
+  // ─── HTML Snapshot ───────────────────────────────────────────────────────────
+
+  // Structure and links only — no scripts, styles, media, forms or event handlers
+  const SNAPSHOT_TAGS = new Set([
+    "A", "ABBR", "B", "BLOCKQUOTE", "BR", "CODE", "DEL", "DIV", "EM", "H1", "H2", "H3", "H4",
+    "I", "LI", "OL", "P", "PRE", "Q", "S", "SMALL", "SPAN", "STRONG", "SUB", "SUP", "TIME", "U", "UL",
+  ]);
+  const SNAPSHOT_DROP = `script, style, noscript, template, iframe, object, embed, svg, canvas, video, audio, form, input, textarea, select, button, ${OWN_UI}`;
+  const SNAPSHOT_ATTRS = { A: ["href", "title"], ABBR: ["title"], TIME: ["datetime"] };
+
+  /**
+   * A sanitized copy of the node's HTML, safe to render in the extension.
+   * @returns {{ html: string, truncated: boolean }} truncated: long posts are
+   *   cut at the last element that fits, so the start is kept
+   */
+  function snapshot(node) {
+    const clone = node.cloneNode(true);
+    clone.querySelectorAll(SNAPSHOT_DROP).forEach((el) => el.remove());
+
+    // Images become their alt text, so the snapshot never loads anything
+    clone.querySelectorAll("img").forEach((img) => {
+      img.replaceWith(img.alt ? `[image: ${img.alt}]` : "[image]");
+    });
+
+    [clone, ...clone.querySelectorAll("*")].reverse().forEach((el) => {
+      const allowed = SNAPSHOT_ATTRS[el.tagName] || [];
+      [...el.attributes].forEach(({ name }) => {
+        if (!allowed.includes(name)) el.removeAttribute(name);
+      });
+      if (el.tagName === "A") {
+        const href = absUrl(el.getAttribute("href"));
+        if (href && /^https?:/.test(href)) el.setAttribute("href", href);
+        else el.removeAttribute("href");
+      }
+      // Unknown elements (custom elements, masks) keep their content but not themselves
+      if (el !== clone && !SNAPSHOT_TAGS.has(el.tagName)) el.replaceWith(...el.childNodes);
+    });
+
+    const serialize = () => (SNAPSHOT_TAGS.has(clone.tagName) ? clone.outerHTML : clone.innerHTML);
+    if (serialize().length <= SNAPSHOT_CHARS) return { html: serialize(), truncated: false };
+
+    trimToFit(clone, serialize);
+    return { html: serialize(), truncated: true };
+  }
+
+  /**
+   * Drop trailing content until the snapshot fits: whole trailing elements
+   * first, then into the last one, so no tag is ever cut in half. The whole
+   * snapshot is serialized once; each dropped node is measured on its own.
+   */
+  function trimToFit(root, serialize) {
+    const marker = document.createTextNode(" …");
+    const scratch = document.createElement("div");
+    const sizeOf = (node) => {
+      if (node.nodeType === Node.ELEMENT_NODE) return node.outerHTML.length;
+      scratch.replaceChildren(node.cloneNode());
+      return scratch.innerHTML.length;
+    };
+
+    let parent = root;
+    parent.appendChild(marker);
+    let size = serialize().length;
+    while (size > SNAPSHOT_CHARS) {
+      const last = marker.previousSibling;
+      if (!last) break;
+      if (last.previousSibling) {
+        size -= sizeOf(last);
+        last.remove();
+      } else if (last.nodeType === Node.ELEMENT_NODE) {
+        // Only one element left — keep it, trim inside it
+        parent = last;
+        parent.appendChild(marker);
+      } else {
+        const over = size - SNAPSHOT_CHARS;
+        last.data = last.data.slice(0, Math.max(0, last.data.length - over));
+        break;
+      }
+    }
+  }
+
+  // ─── Public API ──────────────────────────────────────────────────────────────
+
+  /**
+   * Wrap an adapter definition with the lookups content.js uses.
+   */
+  function build(def) {
+    function itemOf(node) {
+      return node.closest?.(def.itemSelector) || node;
+    }
+
+    function bodyText(item) {
+      const body = def.bodySelector ? item.querySelector(def.bodySelector) : item;
+      return pageText(body)?.slice(0, SNIPPET_CHARS) || null;
+    }
+
+    /** Author, link and text of another item, for context around a capture. */
+    function summarize(item) {
+      let meta = {};
+      try {
+        meta = def.meta(item) || {};
+      } catch {
+        // Context is best effort
+      }
+      return { author: meta.author || null, permalink: meta.permalink || null, timestamp: meta.timestamp || null, text: bodyText(item) };
+    }
+
+    return {
+      id: def.id,
+      sendsOnEnter: !!def.sendsOnEnter,
+
+      /** The send button of the composer around `editor`, or null. */
+      sendButton(editor) {
+        if (!def.sendButtonSelector) return null;
+        let container = editor.parentElement;
+        for (let i = 0; container && i < MAX_SEND_BUTTON_DISTANCE; i++, container = container.parentElement) {
+          const button = container.querySelector(def.sendButtonSelector);
+          if (button) return button;
+        }
+        return null;
+      },
+
+      /** Text blocks to analyze in `root`, including `root` itself. */
+      collect(root) {
+        // Inside a known item, a newly added body node is reported on its own
+        if (def.bodySelector && root.matches?.(def.bodySelector)) return [root];
+
+        const items = [];
+        if (root.matches?.(def.itemSelector)) items.push(root);
+        root.querySelectorAll?.(def.itemSelector).forEach((el) => items.push(el));
+        if (!def.bodySelector) return items;
+
+        // Nested items (threaded replies) find their own body first in document order
+        return [...new Set(items.map((item) => item.querySelector(def.bodySelector)).filter(Boolean))];
+      },
+
+      /** Structured metadata for a block returned by collect(). */
+      describe(node) {
+        const item = itemOf(node);
+        let meta = {};
+        try {
+          meta = def.meta(item) || {};
+        } catch (err) {
+          console.warn("[SafeSpace AI] Adapter metadata failed:", err);
+        }
+        return {
+          site: def.id,
+          author: meta.author || null,
+          authorUrl: meta.authorUrl || null,
+          timestamp: meta.timestamp || null,
+          permalink: meta.permalink || window.location.href,
+          parent: meta.parent || null,
+        };
+      },
+
+      /**
+       * The conversation around a block, for evidence: the replied-to post's
+       * text, up to `around` items either side of it and a sanitized HTML snapshot.
+       * @returns {{ parentText: string|null, neighbours: Object[], html: string, htmlTruncated: boolean }}
+       */
+      context(node, around = 2) {
+        const item = itemOf(node);
+        let parentText = null;
+        try {
+          parentText = def.parentText?.(item)?.slice(0, SNIPPET_CHARS) || null;
+        } catch (err) {
+          console.warn("[SafeSpace AI] Adapter context failed:", err);
+        }
+
+        // Items in document order, so nested replies count as neighbours too;
+        // enclosing items and near-empty ones (generic <p>, <li>) are skipped
+        const items = [...document.querySelectorAll(def.itemSelector)]
+          .filter((el) => el === item || (!el.contains(item) && (bodyText(el)?.length || 0) >= MIN_NEIGHBOUR_CHARS));
+        const index = items.indexOf(item);
+        const neighbours = index === -1 ? [] : [
+          ...items.slice(Math.max(0, index - around), index).map((el) => ({ position: "before", ...summarize(el) })),
+          ...items.slice(index + 1, index + 1 + around).map((el) => ({ position: "after", ...summarize(el) })),
+        ];
+
+        const { html, truncated } = snapshot(node);
+        return { parentText, neighbours, html, htmlTruncated: truncated };
+      },
+    };
+  }
+
+  window.SafeSpaceAdapters = {
+    /** Pick the adapter for a hostname, falling back to the generic one. */
+    forHost(hostname) {
+      return build(ADAPTERS.find((a) => a.matches(hostname)) || generic);
+    },
+  };
+})();
@@ -0,0 +1,323 @@
+/**
+ * SafeSpace AI — Composer Check ("pause before you post")
+ * Opt-in nudge for the writer rather than the reader: watches textareas and
+ * contenteditable editors, checks the draft after a pause in typing, and if it
+ * would be flagged, holds the send (a sending key, submit or a Send button)
+ * behind an inline "Edit / Send anyway" prompt. Ctrl/Cmd+Enter counts as a
+ * send everywhere; plain Enter only where the site adapter says it sends, since
+ * elsewhere it is a new line the user meant to type.
+ *
+ * Sites ignore synthetic key presses, so a held Enter is replayed by clicking
+ * the composer's send button or submitting its form. Where neither exists
+ * (Discord), Enter goes through and the prompt shown after typing is the warning.
+ *
+ * Drafts are never stored — the text only lives in the editor and in the one
+ * analysis request. Loaded before content.js and exposed as window.SafeSpaceComposer.
+ */
+
+(function () {
+  "use strict";
+
+  if (window.SafeSpaceComposer) return;
+
+  const TYPING_PAUSE = 1200;
+  const MIN_DRAFT_LENGTH = 10;
+  const SEND_WORDS = /\b(send|post|reply|tweet|comment|submit|publish)\b/i;
+  const MAX_BUTTON_DISTANCE = 6; // ancestors between the editor and its send button's container
+
+  let check = null;        // (text) => Promise<string[]> — labels of triggered categories
+  let siteSendButton = () => null; // (editor) => Element|null — from the site adapter
+  let sendsOnEnter = false;  // Plain Enter sends in this site's rich-text editors
+  let active = false;
+
+  // Only ever one editor in focus; everything about its draft is in memory here
+  let editor = null;
+  let typingTimer = null;
+  let flagged = [];        // Category labels for the current draft
+  let acknowledged = false; // "Send anyway" for this version of the draft
+  let checkSeq = 0;
+  let nudge = null;
+  let pendingSend = null;
+
+  // ─── Editors ─────────────────────────────────────────────────────────────────
+
+  function isEditor(el) {
+    if (!el || el.nodeType !== Node.ELEMENT_NODE) return false;
+    if (el.tagName === "TEXTAREA") return !el.readOnly && !el.disabled;
+    return el.isContentEditable;
+  }
+
+  /** The editor root — contenteditable events fire on inner elements too. */
+  function editorFor(el) {
+    if (!isEditor(el)) return null;
+    if (el.tagName === "TEXTAREA") return el;
+    let root = el;
+    while (root.parentElement?.isContentEditable) root = root.parentElement;
+    return root;
+  }
+
+  function draftText(el) {
+    const raw = el.tagName === "TEXTAREA" ? el.value : el.innerText;
+    return (raw || "").trim().replace(/\s+/g, " ");
+  }
+
+  /** Events are retargeted at shadow boundaries — use the real origin. */
+  function eventTarget(e) {
+    return e.composedPath?.()[0] || e.target;
+  }
+
+  // ─── Draft Checks ────────────────────────────────────────────────────────────
+
+  function onInput(e) {
+    const el = editorFor(eventTarget(e));
+    if (!el) return;
+    editor = el;
+    acknowledged = false;
+    clearTimeout(typingTimer);
+    typingTimer = setTimeout(() => checkDraft(el), TYPING_PAUSE);
+  }
+
+  async function checkDraft(el) {
+    const text = draftText(el);
+    const seq = ++checkSeq;
+
+    if (text.length < MIN_DRAFT_LENGTH) {
+      flagged = [];
+      hideNudge();
+      return;
+    }
+
+    let labels = [];
+    try {
+      labels = await check(text);
+    } catch (err) {
+      console.warn("[SafeSpace AI] Draft check failed:", err);
+    }
+    // A newer keystroke started another check — this result is stale
+    if (seq !== checkSeq || el !== editor) return;
+
+    flagged = labels;
+    if (flagged.length) showNudge(el);
+    else hideNudge();
+  }
+
+  // ─── Send Interception ───────────────────────────────────────────────────────
+
+  function shouldHold() {
+    return active && editor && flagged.length > 0 && !acknowledged;
+  }
+
+  function hold(e, send) {
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    pendingSend = send;
+    showNudge(editor);
+    nudge.querySelector("[data-composer-edit]").focus();
+  }
+
+  /** Ctrl/Cmd+Enter sends; plain Enter only in a rich-text editor on a site where it sends. */
+  function isSendKey(e, el) {
+    if (e.ctrlKey || e.metaKey) return true;
+    return sendsOnEnter && !e.shiftKey && !e.altKey && el.tagName !== "TEXTAREA";
+  }
+
+  function onKeydown(e) {
+    if (e.key !== "Enter" || e.isComposing || !shouldHold()) return;
+    if (editorFor(eventTarget(e)) !== editor || !isSendKey(e, editor)) return;
+    // Only hold what can be sent again later; otherwise the nudge was the warning
+    const replay = replayFor(editor);
+    if (replay) hold(e, replay);
+  }
+
+  /** How a held Enter can be sent again: the send button, or the editor's form. */
+  function replayFor(el) {
+    const button = siteSendButton(el) || nearbySendButton(el);
+    if (button) return { type: "click", button };
+    const form = el.closest("form");
+    return form ? { type: "submit", form } : null;
+  }
+
+  function onSubmit(e) {
+    if (!shouldHold() || !e.target.contains(editor)) return;
+    hold(e, { type: "submit", form: e.target });
+  }
+
+  function onClick(e) {
+    if (!shouldHold()) return;
+    const button = eventTarget(e).closest?.("button, [role='button'], input[type='submit']");
+    if (!button || !isSendButton(button)) return;
+    hold(e, { type: "click", button });
+  }
+
+  function sendLabel(button) {
+    return [button.textContent, button.value, button.getAttribute("aria-label"), button.dataset.testid]
+      .filter(Boolean).join(" ");
+  }
+
+  /** A send button that belongs to the editor: same form, or a nearby container. */
+  function isSendButton(button) {
+    if (button.closest("[data-safespace-composer]")) return false;
+    if (button.type !== "submit" && !SEND_WORDS.test(sendLabel(button))) return false;
+
+    if (button.form && button.form === editor.closest("form")) return true;
+    let container = editor.parentElement;
+    for (let i = 0; container && i < MAX_BUTTON_DISTANCE; i++, container = container.parentElement) {
+      if (container.contains(button)) return true;
+    }
+    return false;
+  }
+
+  /** A labelled Send / Post / Reply button near an editor with no adapter button. */
+  function nearbySendButton(el) {
+    let container = el.parentElement;
+    for (let i = 0; container && i < MAX_BUTTON_DISTANCE; i++, container = container.parentElement) {
+      const button = [...container.querySelectorAll("button, [role='button'], input[type='submit']")]
+        .find((b) => !b.disabled && !b.closest("[data-safespace-composer]") && SEND_WORDS.test(sendLabel(b)));
+      if (button) return button;
+    }
+    return null;
+  }
+
+  /** Replay the send the user chose to go ahead with. */
+  function resumeSend() {
+    const send = pendingSend;
+    pendingSend = null;
+    if (!send) return;
+
+    if (send.type === "click") {
+      send.button.click();
+    } else {
+      send.form.requestSubmit ? send.form.requestSubmit() : send.form.submit();
+    }
+  }
+
+  // ─── Nudge ───────────────────────────────────────────────────────────────────
+
+  function buildNudge() {
+    const el = document.createElement("div");
+    el.className = "safespace-composer-nudge";
+    el.setAttribute("role", "alertdialog");
+    el.setAttribute("aria-live", "polite");
+    el.setAttribute("aria-labelledby", "safespace-composer-title");
+    el.setAttribute("data-safespace-composer", "");
+    el.setAttribute("data-safespace", "composer");
+
+    const title = document.createElement("p");
+    title.id = "safespace-composer-title";
+    title.className = "safespace-composer-title";
+    title.textContent = "⏸️ Pause before you post?";
+
+    const detail = document.createElement("p");
+    detail.className = "safespace-composer-detail";
+
+    const actions = document.createElement("div");
+    actions.className = "safespace-composer-actions";
+
+    const editBtn = document.createElement("button");
+    editBtn.type = "button";
+    editBtn.className = "safespace-composer-btn safespace-composer-btn--primary";
+    editBtn.textContent = "Edit";
+    editBtn.setAttribute("data-composer-edit", "");
+    editBtn.addEventListener("click", () => {
+      pendingSend = null;
+      hideNudge();
+      editor?.focus();
+    });
+
+    const sendBtn = document.createElement("button");
+    sendBtn.type = "button";
+    sendBtn.className = "safespace-composer-btn";
+    sendBtn.textContent = "Send anyway";
+    sendBtn.addEventListener("click", () => {
+      acknowledged = true;
+      hideNudge();
+      resumeSend();
+    });
+
+    actions.appendChild(editBtn);
+    actions.appendChild(sendBtn);
+    el.appendChild(title);
+    el.appendChild(detail);
+    el.appendChild(actions);
+
+    // Escape behaves like Edit
+    el.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") editBtn.click();
+    });
+    return el;
+  }
+
+  function showNudge(el) {
+    if (!nudge) nudge = buildNudge();
+    nudge.querySelector(".safespace-composer-detail").textContent =
+      `This draft may come across as ${formatList(flagged)}. Want to take another look before sending?`;
+    if (!nudge.isConnected) document.body.appendChild(nudge);
+    positionNudge(el);
+  }
+
+  function hideNudge() {
+    nudge?.remove();
+  }
+
+  /** Sit just below the editor, or above it when there's no room. */
+  function positionNudge(el) {
+    if (!nudge?.isConnected || !el?.isConnected) return;
+    const rect = el.getBoundingClientRect();
+    const height = nudge.offsetHeight || 90;
+    const below = rect.bottom + 8 + height < window.innerHeight;
+    nudge.style.left = `${Math.max(8, Math.min(rect.left, window.innerWidth - nudge.offsetWidth - 8))}px`;
+    nudge.style.top = `${below ? rect.bottom + 8 : Math.max(8, rect.top - height - 8)}px`;
+  }
+
+  function formatList(items) {
+    if (items.length <= 1) return items.join("");
+    return `${items.slice(0, -1).join(", ")} and ${items[items.length - 1]}`;
+  }
+
+  function reposition() {
+    if (nudge?.isConnected) positionNudge(editor);
+  }
+
+  // ─── Public API ──────────────────────────────────────────────────────────────
+
+  window.SafeSpaceComposer = {
+    /**
+     * Start watching editors.
+     * @param {Object} options
+     * @param {Function} options.check - (draft) => Promise<string[]> of triggered category labels
+     * @param {Function} [options.sendButton] - (editor) => the site's send button, or null
+     * @param {boolean} [options.sendsOnEnter] - Plain Enter sends from contenteditable editors
+     */
+    start(options) {
+      check = options.check;
+      siteSendButton = options.sendButton || (() => null);
+      sendsOnEnter = !!options.sendsOnEnter;
+      if (active) return;
+      active = true;
+      // Capture phase, so a held send never reaches the site's own handlers
+      document.addEventListener("input", onInput, true);
+      document.addEventListener("keydown", onKeydown, true);
+      document.addEventListener("submit", onSubmit, true);
+      document.addEventListener("click", onClick, true);
+      window.addEventListener("scroll", reposition, true);
+      window.addEventListener("resize", reposition);
+    },
+
+    stop() {
+      if (!active) return;
+      active = false;
+      document.removeEventListener("input", onInput, true);
+      document.removeEventListener("keydown", onKeydown, true);
+      document.removeEventListener("submit", onSubmit, true);
+      document.removeEventListener("click", onClick, true);
+      window.removeEventListener("scroll", reposition, true);
+      window.removeEventListener("resize", reposition);
+      clearTimeout(typingTimer);
+      checkSeq += 1; // drop any check still in flight
+      editor = null;
+      flagged = [];
+      pendingSend = null;
+      hideNudge();
+    },
+  };
+})();
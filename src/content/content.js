@@ -16,10 +16,14 @@
     enabled: true,
     sensitivityThreshold: 0.7,
     filters: {},
+    thresholds: {},
     blurStrength: "medium",
+    maskMode: "block",
+    composerCheck: false,
     evidenceMode: false,
     notificationsEnabled: true,
     parentalLock: false, 
+    muteWords: [],
   };
 
   // FIX: Use a regular Set (clearable) keyed by a stable node identifier
@@ -29,47 +33,106 @@
   const pendingQueue  = [];
   let debounceTimer   = null;
   let notificationCooldown = false;
+  let offlineNotified = false;
+  let scanning = false;
+  let spanMaskCount = 0;
 
   // ─── Parental Lock State ──────────────────────────────────────────────────────
   let pinDialog       = null;
   let pinCallback     = null;
   let pinCurrentInput = "";
-  let pinAttempts     = 0;
-  let pinLockoutEnd   = 0;
-
-  // ─── Selectors: meaningful content containers ────────────────────────────────
-  const CONTENT_SELECTORS = [
-    "[class*='comment']", "[class*='reply']", "[class*='post']",
-    "[class*='tweet']", "[class*='message']", "[class*='review']",
-    "[class*='feedback']", "[class*='discussion']",
-    "p", "li", "blockquote", "article",
-    "[data-testid*='tweet']", "[data-testid*='comment']",
-    ".comment-body", ".message-text", ".post-content",
-    "[class*='bubble']", "[class*='chat']",
-  ].join(",");
+  let pinLockoutEnd   = 0; // copy of the background's lockout, for the countdown
+
+  // ─── Site adapter: where the messages are and who wrote them ─────────────────
+  // See adapters.js — the generic adapter holds the old CONTENT_SELECTORS list.
+  let adapter = null;
+
+  // ─── Mute list: compiled from settings.muteWords (see mute-list.js) ──────────
+  let muteList = window.SafeSpaceMuteList.compile([]);
+  const MUTED_CATEGORY = "muted_word";
+
+  // ─── Muted people: authors muted on this site (offender ledger, background) ──
+  let mutedAuthors = new Set();
+  const MUTED_AUTHOR_CATEGORY = "muted_author";
 
   const SKIP_TAGS = new Set(["SCRIPT", "STYLE", "NOSCRIPT", "TEXTAREA", "INPUT", "CODE", "PRE"]);
 
+  // Segmentation: every piece of visible text is analyzed exactly once
+  const MIN_TEXT_LENGTH  = 15;
+  const MAX_BLOCK_CHARS  = 1500;   // longer blocks are split into parts…
+  const TARGET_PART_CHARS = 1000;  // …of about this size, on sentence boundaries
+
   const BLUR_MAP = { light: "4px", medium: "8px", heavy: "14px" };
 
+  // Result category (Perspective attribute, lower snake case) → settings filter key
+  const CATEGORY_FILTERS = {
+    toxicity:          "toxicity",
+    severe_toxicity:   "severeToxicity",
+    threat:            "threat",
+    insult:            "insult",
+    identity_attack:   "identityAttack",
+    sexually_explicit: "sexuallyExplicit",
+  };
+
+  // Items the background could not analyze (quota exhausted) go back in the queue
+  const MAX_REQUEUES   = 3;
+  const REQUEUE_DELAY  = 10_000;
+
   // ─── Init ────────────────────────────────────────────────────────────────────
 
   async function init() {
-    settings = await sendMessage({ type: "GET_SETTINGS" });
-    if (!settings.enabled) return;
-    scanPage();
-    setupMutationObserver();
+    adapter = window.SafeSpaceAdapters.forHost(window.location.hostname);
     setupMessageListener();
+    await Promise.all([loadSettings(), loadMutedAuthors()]);
+    startScanning();
+    syncComposer();
+  }
+
+  /**
+   * Fetch the settings in effect on this page — the background applies the
+   * matching site rule (disabled, profile or threshold) before replying.
+   */
+  async function loadSettings() {
+    settings = await sendMessage({ type: "GET_SETTINGS", payload: { url: window.location.href } });
+    muteList = window.SafeSpaceMuteList.compile(settings.muteWords);
+  }
+
+  async function loadMutedAuthors() {
+    const authors = await sendMessage({ type: "GET_MUTED_AUTHORS", payload: { url: window.location.href } });
+    mutedAuthors = new Set(Array.isArray(authors) ? authors : []);
+  }
+
+  function startScanning() {
+    if (scanning || !settings.enabled) return;
+    scanning = true;
+    scanPage();   // also attaches an observer to every root it finds
+  }
+
+  /**
+   * Protection was switched off here (master toggle or a site rule). Forget
+   * what was scanned so switching it back on rescans the whole page; the root
+   * observers stay attached and idle while settings.enabled is false.
+   */
+  function stopScanning() {
+    scanning = false;
+    pendingQueue.length = 0;
+    queryAll(`[${PROCESSED_ATTR}]`).forEach((el) => el.removeAttribute(PROCESSED_ATTR));
   }
 
   // ─── DOM Scanning ─────────────────────────────────────────────────────────────
 
   function scanPage() {
-    const nodes = document.querySelectorAll(CONTENT_SELECTORS);
-    nodes.forEach(queueNode);
+    [document, ...findRoots(document)].forEach((root) => {
+      addRoot(root);
+      scanRoot(root);
+    });
     flushQueue();
   }
 
+  function scanRoot(root) {
+    segmentBlocks(adapter.collect(root)).forEach(queueNode);
+  }
+
   function queueNode(node) {
     if (!node) return;
     if (SKIP_TAGS.has(node.tagName)) return;
@@ -77,10 +140,258 @@
     if (node.hasAttribute("data-safespace")) return;    // already wrapped
 
     const text = extractText(node);
-    if (!text || text.length < 15) return;
+    if (!text || text.length < MIN_TEXT_LENGTH) return;
 
     node.setAttribute(PROCESSED_ATTR, "1");             // mark immediately to avoid dups
-    pendingQueue.push({ node, text });
+
+    // Muted people are hidden outright — nothing of theirs is analyzed
+    if (mutedAuthors.size) {
+      const meta = adapter.describe(node);
+      if (mutedAuthors.has(meta.author)) {
+        hideMutedAuthor(node, text, meta);
+        return;
+      }
+    }
+
+    // Mute list first — blur and hide matches never need the classifier
+    const muted = muteList.match(text);
+    if (muted) {
+      handleMuteMatch(node, text, muted);
+      if (muted.action !== "alert") return;
+    }
+
+    splitLongText(text).forEach((part) => pendingQueue.push({ node, text: part }));
+  }
+
+  // ─── Composer Check ───────────────────────────────────────────────────────────
+  // See composer.js — the user's own drafts, checked only when they opt in.
+
+  // Read as "this draft may come across as …"
+  const DRAFT_LABELS = {
+    toxicity:          "toxic",
+    severe_toxicity:   "severely toxic",
+    threat:            "threatening",
+    insult:            "insulting",
+    identity_attack:   "hateful",
+    sexually_explicit: "sexually explicit",
+  };
+
+  function syncComposer() {
+    if (settings.enabled && settings.composerCheck) {
+      window.SafeSpaceComposer.start({
+        check: checkDraft,
+        sendButton: (editor) => adapter.sendButton(editor),
+        sendsOnEnter: adapter.sendsOnEnter,
+      });
+    } else {
+      window.SafeSpaceComposer.stop();
+    }
+  }
+
+  /**
+   * Score a draft and list every enabled category over its threshold. Drafts
+   * are not counted, cached or recorded anywhere.
+   * @returns {Promise<string[]>}
+   */
+  async function checkDraft(text) {
+    const results = await sendMessage({ type: "ANALYZE_TEXT", payload: { texts: [text], draft: true } });
+    const result = Array.isArray(results) ? results[0] : null;
+    if (!result || result.error || result.skipped) return [];
+
+    return Object.entries(result.scores || {})
+      .filter(([category, score]) => {
+        const key = CATEGORY_FILTERS[category];
+        return key && settings.filters?.[key] !== false && score >= getThreshold(key);
+      })
+      .sort(([, a], [, b]) => b - a)
+      .map(([category]) => DRAFT_LABELS[category]);
+  }
+
+  // ─── Scan Roots ───────────────────────────────────────────────────────────────
+  // The page, plus every open shadow root (web-component comment widgets) and
+  // same-origin frame (comment embeds, chat panes) inside it. Each root gets its
+  // own observer, and roots other than the page get a copy of content.css.
+
+  const scanRoots     = new Set();
+  const watchedFrames = new WeakSet();
+  const LATE_HOST_DELAY = 1500;
+
+  /**
+   * Every open shadow root and same-origin frame document under `start`,
+   * including ones nested inside those.
+   */
+  function findRoots(start) {
+    const found = [];
+    const lateHosts = [];
+
+    const visit = (node) => {
+      const walker = (node.ownerDocument || node).createTreeWalker(node, NodeFilter.SHOW_ELEMENT);
+      for (let el = node.nodeType === Node.ELEMENT_NODE ? node : walker.nextNode(); el; el = walker.nextNode()) {
+        if (el.shadowRoot) {
+          found.push(el.shadowRoot);
+          visit(el.shadowRoot);
+        } else if (el.localName.includes("-")) {
+          lateHosts.push(el); // custom element that may attach its shadow root after upgrading
+        }
+        if (el.tagName === "IFRAME" || el.tagName === "FRAME") {
+          watchFrame(el);
+          const frameDoc = frameDocument(el);
+          if (frameDoc) {
+            found.push(frameDoc);
+            visit(frameDoc);
+          }
+        }
+      }
+    };
+    visit(start);
+
+    if (lateHosts.length) {
+      setTimeout(() => lateHosts.forEach((host) => host.shadowRoot && attachAndScan(host.shadowRoot)), LATE_HOST_DELAY);
+    }
+    return found;
+  }
+
+  /** The frame's document when it's same-origin and loaded, otherwise null. */
+  function frameDocument(frame) {
+    try {
+      const doc = frame.contentDocument;
+      return doc?.documentElement ? doc : null;
+    } catch {
+      return null; // cross-origin
+    }
+  }
+
+  /** Frames load (and navigate) after we find them — pick up each new document. */
+  function watchFrame(frame) {
+    if (watchedFrames.has(frame)) return;
+    watchedFrames.add(frame);
+    frame.addEventListener("load", () => {
+      const doc = frameDocument(frame);
+      if (doc) attachAndScan(doc);
+    });
+  }
+
+  function attachAndScan(root) {
+    if (!settings.enabled) return;
+    [root, ...findRoots(root)].forEach((found) => {
+      if (addRoot(found)) scanRoot(found);
+    });
+    scheduleFlush();
+  }
+
+  /**
+   * Start tracking a root: styles plus a mutation observer.
+   * @returns {boolean} false if it was already tracked
+   */
+  function addRoot(root) {
+    if (!root || scanRoots.has(root)) return false;
+    scanRoots.add(root);
+    if (root !== document) injectStyles(root);
+    observeRoot(root);
+    return true;
+  }
+
+  /** Manifest CSS only reaches the top document — link it into other roots. */
+  function injectStyles(root) {
+    const isShadow = root.nodeType === Node.DOCUMENT_FRAGMENT_NODE;
+    const doc = isShadow ? root.ownerDocument : root;
+    const link = doc.createElement("link");
+    link.rel = "stylesheet";
+    link.href = chrome.runtime.getURL("src/content/content.css");
+    link.setAttribute("data-safespace-styles", "");
+    (isShadow ? root : doc.head || doc.documentElement).appendChild(link);
+  }
+
+  /** Roots whose host or frame has since been removed from the page are dropped. */
+  function liveRoots() {
+    scanRoots.forEach((root) => {
+      const alive = root === document ||
+        (root.nodeType === Node.DOCUMENT_FRAGMENT_NODE ? root.host.isConnected : !!root.defaultView);
+      if (!alive) scanRoots.delete(root);
+    });
+    return [...scanRoots];
+  }
+
+  /** querySelectorAll across the page and every tracked root. */
+  function queryAll(selector) {
+    return liveRoots().flatMap((root) => [...root.querySelectorAll(selector)]);
+  }
+
+  // ─── Segmentation ─────────────────────────────────────────────────────────────
+
+  /**
+   * Reduce candidate nodes to one non-overlapping set of text blocks.
+   * Nested candidates (an article and the p/li inside it) form a tree; a
+   * container is kept only when it holds meaningful text of its own outside its
+   * child candidates — otherwise its children are analyzed individually.
+   * @param {Element[]} candidates - As returned by adapter.collect()
+   * @returns {Element[]}
+   */
+  function segmentBlocks(candidates) {
+    // Editors hold the user's own drafts — never scan (or blur) them as page content
+    const pool = new Set(candidates.filter((node) =>
+      !SKIP_TAGS.has(node.tagName) && !node.isContentEditable &&
+      !node.closest("[data-safespace], [data-safespace-blurred]")
+    ));
+
+    // Link every candidate to its nearest candidate ancestor
+    const children = new Map();
+    const roots = [];
+    pool.forEach((node) => {
+      let parent = node.parentElement;
+      while (parent && !pool.has(parent)) parent = parent.parentElement;
+      if (parent) {
+        if (!children.has(parent)) children.set(parent, []);
+        children.get(parent).push(node);
+      } else {
+        roots.push(node);
+      }
+    });
+
+    const blocks = [];
+    const visit = (node) => {
+      const kids = children.get(node);
+      if (!kids) {
+        blocks.push(node);
+        return;
+      }
+      // Something inside was already analyzed or wrapped — never re-cover it
+      const covered = node.querySelector(`[${PROCESSED_ATTR}], [data-safespace]`);
+      const ownLength = (node.textContent || "").replace(/\s+/g, "").length -
+        kids.reduce((sum, kid) => sum + (kid.textContent || "").replace(/\s+/g, "").length, 0);
+      if (!covered && ownLength >= MIN_TEXT_LENGTH) {
+        blocks.push(node);
+      } else {
+        kids.forEach(visit);
+      }
+    };
+    roots.forEach(visit);
+    return blocks;
+  }
+
+  /**
+   * Split long-form text into parts of roughly TARGET_PART_CHARS, breaking on
+   * sentence boundaries so each part still reads as natural language.
+   */
+  function splitLongText(text) {
+    if (text.length <= MAX_BLOCK_CHARS) return [text];
+
+    const sentences = text.match(/[^.!?]+(?:[.!?]+|$)\s*/g) || [text];
+    const parts = [];
+    let current = "";
+    sentences.forEach((sentence) => {
+      // A single run-on "sentence" longer than a part is cut hard
+      for (let i = 0; i < sentence.length; i += TARGET_PART_CHARS) {
+        const piece = sentence.slice(i, i + TARGET_PART_CHARS);
+        if (current && current.length + piece.length > TARGET_PART_CHARS) {
+          parts.push(current.trim());
+          current = "";
+        }
+        current += piece;
+      }
+    });
+    if (current.trim()) parts.push(current.trim());
+    return parts;
   }
 
   function extractText(node) {
@@ -99,13 +410,17 @@
 
     const batch = pendingQueue.splice(0, 10);
     const texts = batch.map((item) => item.text);
+    let requeued = false;
 
-    sendMessage({ type: "RECORD_SCANNED", payload: { count: texts.length } });
+    // Re-queued items were already counted on their first pass
+    const fresh = batch.filter((item) => !item.attempts).length;
+    if (fresh) sendMessage({ type: "RECORD_SCANNED", payload: { count: fresh } });
 
     try {
       const results = await sendMessage({
         type: "ANALYZE_TEXT",
-        payload: { texts },
+        // Items out of re-queues get the offline classifier if the API still fails
+        payload: { texts, lastTry: batch.map((item) => (item.attempts || 0) >= MAX_REQUEUES) },
       });
 
       if (results?.error === "NO_API_KEY") {
@@ -113,41 +428,75 @@
         return;
       }
 
+      if (results?.error === "PROVIDER_NOT_CONFIGURED" || results?.error === "UNKNOWN_PROVIDER") {
+        showFloatingAlert("⚙️ Finish setting up your classifier in SafeSpace settings.", "info");
+        return;
+      }
+
       if (results?.skipped) return;
 
       if (Array.isArray(results)) {
+        if (!offlineNotified && results.some((r) => r?.offline && r.offlineReason)) {
+          offlineNotified = true;
+          showFloatingAlert("📴 Offline protection — SafeSpace is using its on-device classifier.", "info");
+        }
+
         results.forEach((result, i) => {
-          if (result && !result.error && !result.skipped) {
+          if (result?.retry) {
+            requeued = requeue(batch[i]) || requeued;
+          } else if (result && !result.error && !result.skipped) {
             handleAnalysisResult(batch[i].node, batch[i].text, result);
           }
         });
       }
     } catch (err) {
+      // Background worker unreachable (e.g. restarting) — try the whole batch again
       console.warn("[SafeSpace AI] Analysis error:", err);
+      batch.forEach((item) => { requeued = requeue(item) || requeued; });
     }
 
     if (pendingQueue.length > 0) {
-      setTimeout(flushQueue, 1000);
+      setTimeout(flushQueue, requeued ? REQUEUE_DELAY : 1000);
     }
   }
 
+  /**
+   * Put an unanalyzed item back at the end of the queue.
+   * @returns {boolean} false once the item has used up its retries
+   */
+  function requeue(item) {
+    const attempts = (item.attempts || 0) + 1;
+    if (attempts > MAX_REQUEUES || !item.node.isConnected) return false;
+    pendingQueue.push({ ...item, attempts });
+    return true;
+  }
+
   // ─── Result Handling ──────────────────────────────────────────────────────────
 
   function handleAnalysisResult(node, text, result) {
-    const { maxScore, dominantCategory, scores } = result;
+    const { maxScore, scores, offline } = result;
     if (typeof maxScore !== "number") return;
+    // An earlier part of a split long-form block may already have flagged it
+    if (node.dataset.safespaceBlurred) return;
 
-    if (maxScore >= settings.sensitivityThreshold) {
-      applyBlur(node, maxScore, dominantCategory, scores, text);
+    const trigger = findTriggeredCategory(scores);
+    if (trigger) {
+      const { category, score } = trigger;
+      const meta = adapter.describe(node);
+      // Precise mode masks only the offending ranges; the whole block is the fallback
+      const spans = settings.maskMode === "precise" ? findTriggeredSpans(result.spans) : [];
+      if (!(spans.length && applySpanMasks(node, text, spans, scores, !!offline, meta))) {
+        applyBlur(node, score, category, scores, text, !!offline, meta);
+      }
 
       sendMessage({
         type: "RECORD_DETECTION",
-        payload: { category: dominantCategory, score: maxScore, url: window.location.href },
+        payload: { category, score, url: window.location.href, offline: !!offline, meta },
       });
 
       if (settings.notificationsEnabled && !notificationCooldown) {
         showFloatingAlert(
-          `🛡️ Harmful content detected (${Math.round(maxScore * 100)}% confidence)`,
+          `🛡️ ${getCategoryLabel(category)} detected (${Math.round(score * 100)}% confidence)`,
           "warning"
         );
         notificationCooldown = true;
@@ -156,23 +505,149 @@
     }
   }
 
+  /**
+   * Act on a mute-list match: blur (just the words in precise mode), hide the
+   * whole block, or only alert. Every match counts as a "Muted word" detection.
+   */
+  function handleMuteMatch(node, text, { action, ranges }) {
+    const meta = adapter.describe(node);
+    const scores = { [MUTED_CATEGORY]: 1 };
+
+    if (action === "hide") {
+      applyBlur(node, 1, MUTED_CATEGORY, scores, text, false, meta, true);
+    } else if (action === "blur") {
+      const spans = ranges.map((range) => ({ ...range, category: MUTED_CATEGORY, score: 1 }));
+      if (!(settings.maskMode === "precise" && applySpanMasks(node, text, spans, scores, false, meta))) {
+        applyBlur(node, 1, MUTED_CATEGORY, scores, text, false, meta);
+      }
+    } else if (!notificationCooldown) {
+      showFloatingAlert("🔇 Something on your mute list appeared on this page", "warning");
+      notificationCooldown = true;
+      setTimeout(() => (notificationCooldown = false), 5000);
+    }
+
+    // Handled blocks skip the queue, so count them as scanned here
+    if (action !== "alert") sendMessage({ type: "RECORD_SCANNED", payload: { count: 1 } });
+    sendMessage({
+      type: "RECORD_DETECTION",
+      payload: { category: MUTED_CATEGORY, score: 1, url: window.location.href, offline: false, meta },
+    });
+  }
+
+  // ─── Muted People ─────────────────────────────────────────────────────────────
+
+  function hideMutedAuthor(node, text, meta) {
+    const wrapper = applyBlur(node, 1, MUTED_AUTHOR_CATEGORY, {}, text, false, meta, true);
+    if (wrapper) wrapper.dataset.mutedAuthor = meta.author;
+  }
+
+  /**
+   * Bring the page in line with the current muted list: hide what newly muted
+   * authors already posted, and restore (then analyze) posts of unmuted ones.
+   */
+  function applyAuthorMutes() {
+    queryAll(".safespace-blur-wrapper[data-muted-author]").forEach((wrapper) => {
+      if (mutedAuthors.has(wrapper.dataset.mutedAuthor)) return;
+      const node = unwrapBlur(wrapper);
+      if (node?.nodeType === Node.ELEMENT_NODE) {
+        node.removeAttribute(PROCESSED_ATTR);
+        queueNode(node);
+      }
+    });
+
+    if (mutedAuthors.size) {
+      queryAll(`[${PROCESSED_ATTR}]`).forEach((node) => {
+        if (node.closest("[data-muted-author]")) return;
+        const meta = adapter.describe(node);
+        if (!mutedAuthors.has(meta.author)) return;
+
+        // Already blurred for its content — collapse it instead of wrapping twice
+        const wrapper = node.closest(".safespace-blur-wrapper");
+        if (wrapper) {
+          wrapper.classList.add("safespace-blur-wrapper--hidden");
+          wrapper.dataset.mutedAuthor = meta.author;
+        } else {
+          hideMutedAuthor(node, extractText(node), meta);
+        }
+      });
+    }
+
+    scheduleFlush();
+  }
+
+  /**
+   * Find the enabled category that went furthest over its own threshold.
+   * @returns {{ category: string, score: number } | null}
+   */
+  function findTriggeredCategory(scores = {}) {
+    let trigger = null;
+    let bestMargin = -Infinity;
+
+    Object.entries(scores).forEach(([category, score]) => {
+      const key = CATEGORY_FILTERS[category];
+      if (key && settings.filters?.[key] === false) return;
+      const margin = score - getThreshold(key);
+      if (margin >= 0 && margin > bestMargin) {
+        bestMargin = margin;
+        trigger = { category, score };
+      }
+    });
+
+    return trigger;
+  }
+
+  function getThreshold(filterKey) {
+    return settings.thresholds?.[filterKey] ?? settings.sensitivityThreshold;
+  }
+
+  /**
+   * Spans over their category's threshold, with overlapping spans from
+   * different categories merged into one range (the higher score names it).
+   */
+  function findTriggeredSpans(spans = []) {
+    const merged = [];
+    spans
+      .filter(({ category, score }) => {
+        const key = CATEGORY_FILTERS[category];
+        return !(key && settings.filters?.[key] === false) && score >= getThreshold(key);
+      })
+      .sort((a, b) => a.begin - b.begin)
+      .forEach((span) => {
+        const last = merged[merged.length - 1];
+        if (last && span.begin < last.end) {
+          last.end = Math.max(last.end, span.end);
+          if (span.score > last.score) Object.assign(last, { category: span.category, score: span.score });
+        } else {
+          merged.push({ ...span });
+        }
+      });
+    return merged;
+  }
+
   // ─── Blur / Mask ──────────────────────────────────────────────────────────────
 
-  function applyBlur(node, score, category, scores, originalText) {
+  function applyBlur(node, score, category, scores, originalText, offline = false, meta = null, hide = false) {
     if (node.dataset.safespaceBlurred) return;
 
     const blurAmount   = BLUR_MAP[settings.blurStrength] || BLUR_MAP.medium;
     const severityLabel = getSeverityLabel(score);
     const categoryLabel = getCategoryLabel(category);
     const severityClass = getSeverityClass(score);
+    const detail = category === MUTED_CATEGORY
+      ? `${hide ? "Hidden" : "Blurred"} by your mute list`
+      : category === MUTED_AUTHOR_CATEGORY
+        ? `You muted ${escapeHtml(meta?.author || "this person")} on this site`
+        : `${severityLabel} · ${Math.round(score * 100)}%`;
 
     node.dataset.safespaceBlurred = "true";
     node.dataset.safespaceScore   = score;
 
     // Wrapper
     const wrapper = document.createElement("div");
-    wrapper.className = "safespace-blur-wrapper";
+    wrapper.className = `safespace-blur-wrapper${hide ? " safespace-blur-wrapper--hidden" : ""}`;
     wrapper.setAttribute("data-safespace", "true");
+    wrapper.dataset.safespaceCategory = category;
+    wrapper.dataset.safespaceScore = score;
 
     // Blur layer
     const blurLayer = document.createElement("div");
@@ -181,9 +656,10 @@
 
     // Warning badge
     const badge = document.createElement("div");
-    badge.className = `safespace-badge safespace-badge--${severityClass}`;
+    badge.className = `safespace-badge safespace-badge--${severityClass}${offline ? " safespace-badge--offline" : ""}`;
     badge.setAttribute("role", "alert");
-    badge.setAttribute("aria-label", `${categoryLabel} detected — ${severityLabel} severity at ${Math.round(score * 100)}%`);
+    badge.setAttribute("data-safespace", "badge");
+    badge.setAttribute("aria-label", `${categoryLabel} detected — ${category === MUTED_CATEGORY || category === MUTED_AUTHOR_CATEGORY ? detail : `${severityLabel} severity at ${Math.round(score * 100)}%`}${offline ? " (offline classifier)" : ""}`);
 
     // Reveal button — keyboard accessible
     const revealBtn = document.createElement("button");
@@ -196,11 +672,11 @@
     const badgeIcon = document.createElement("span");
     badgeIcon.className = "safespace-badge-icon";
     badgeIcon.setAttribute("aria-hidden", "true");
-    badgeIcon.textContent = getSeverityIcon(score);
+    badgeIcon.textContent = getCategoryIcon(category, score);
 
     const badgeText = document.createElement("span");
     badgeText.className = "safespace-badge-text";
-    badgeText.innerHTML = `<strong>${categoryLabel}</strong><small>${severityLabel} · ${Math.round(score * 100)}%</small>`;
+    badgeText.innerHTML = `<strong>${categoryLabel}</strong><small>${detail}${offline ? ` · <span class="safespace-offline-tag" title="Scored by the on-device fallback classifier">Offline</span>` : ""}</small>`;
 
     // ── Inline PIN area (shown only when parental lock is on) ──────────────────
     const pinArea = document.createElement("div");
@@ -275,7 +751,7 @@
           toggleReveal(wrapper, blurLayer, badge, revealBtn);
         } else {
           pinInput.value = "";
-          pinError.textContent = "Incorrect PIN";
+          pinError.textContent = pinFailureMessage(result);
           pinInput.focus();
           // Shake the input to give visual feedback
           pinInput.classList.remove("safespace-pin-input--shake");
@@ -308,8 +784,146 @@
 
     // Evidence capture
     if (settings.evidenceMode) {
-      addEvidenceButton(wrapper, originalText, scores);
+      addEvidenceButton(wrapper, node, originalText, scores, meta);
+    }
+    scheduleNavigator();
+    return wrapper;
+  }
+
+  // ─── Span Masks (precise mode) ────────────────────────────────────────────────
+
+  /**
+   * Map the node's whitespace-collapsed text back to DOM positions, so offsets
+   * into the analyzed text can be turned into text-node ranges.
+   * @returns {{ flat: string, positions: [Text, number][] }}
+   */
+  function indexText(node) {
+    const walker = node.ownerDocument.createTreeWalker(node, NodeFilter.SHOW_TEXT, {
+      acceptNode: (textNode) => {
+        const parent = textNode.parentElement;
+        if (!parent || SKIP_TAGS.has(parent.tagName)) return NodeFilter.FILTER_REJECT;
+        // Our own controls and existing masks are never part of the page text
+        if (parent.closest("[data-safespace], .safespace-span")) return NodeFilter.FILTER_REJECT;
+        return NodeFilter.FILTER_ACCEPT;
+      },
+    });
+
+    let flat = "";
+    const positions = [];
+    for (let textNode = walker.nextNode(); textNode; textNode = walker.nextNode()) {
+      const data = textNode.data;
+      for (let i = 0; i < data.length; i++) {
+        const isSpace = /\s/.test(data[i]);
+        if (isSpace && (flat === "" || flat.endsWith(" "))) continue;
+        flat += isSpace ? " " : data[i];
+        positions.push([textNode, i]);
+      }
+    }
+    return { flat, positions };
+  }
+
+  /**
+   * Blur only the given ranges of `text` inside `node`, each with its own
+   * reveal control, leaving the surrounding context readable.
+   * @param {Object[]} spans - { begin, end, category, score }, offsets into `text`
+   * @returns {boolean} false when no span could be located in the DOM
+   */
+  function applySpanMasks(node, text, spans, scores, offline, meta) {
+    const { flat, positions } = indexText(node);
+
+    // Locate every span before touching the DOM — wrapping splits text nodes
+    const ranges = [];
+    let cursor = 0;
+    spans.forEach((span) => {
+      const needle = text.slice(span.begin, span.end).trim().replace(/\s+/g, " ");
+      if (!needle) return;
+      let start = flat.indexOf(needle, cursor);
+      if (start === -1) start = flat.indexOf(needle);
+      if (start === -1) return;
+      cursor = start + needle.length;
+      ranges.push({ ...span, start, end: cursor });
+    });
+    if (ranges.length === 0) return false;
+
+    node.dataset.safespaceMasked = "true";
+    const blurAmount = BLUR_MAP[settings.blurStrength] || BLUR_MAP.medium;
+
+    // Last range first, so earlier positions stay valid as text nodes split
+    ranges.sort((a, b) => b.start - a.start).forEach((range) => {
+      const pieces = [];
+      for (let i = range.start; i < range.end; i++) {
+        const [textNode, offset] = positions[i];
+        const last = pieces[pieces.length - 1];
+        if (last?.textNode === textNode) last.to = offset + 1;
+        else pieces.push({ textNode, from: offset, to: offset + 1 });
+      }
+
+      const group = `ss-span-${++spanMaskCount}`;
+      const marks = pieces.reverse().map(({ textNode, from, to }) => {
+        if (to < textNode.length) textNode.splitText(to);
+        const target = from > 0 ? textNode.splitText(from) : textNode;
+        const mark = document.createElement("span");
+        mark.className = "safespace-span";
+        mark.dataset.safespaceSpan = group;
+        mark.style.setProperty("--ss-blur", blurAmount);
+        target.parentNode.insertBefore(mark, target);
+        mark.appendChild(target);
+        return mark;
+      });
+
+      addSpanReveal(marks, range, offline);
+    });
+
+    // One capture button per block, even when several parts were masked
+    if (settings.evidenceMode && !node.querySelector(":scope > .safespace-evidence-btn")) {
+      addEvidenceButton(node, node, text, scores, meta);
     }
+    scheduleNavigator();
+    return true;
+  }
+
+  /**
+   * Small inline Show/Hide control placed after a masked range.
+   * @param {HTMLElement[]} marks - The range's pieces, last piece first
+   */
+  function addSpanReveal(marks, { category, score }, offline) {
+    const categoryLabel = getCategoryLabel(category);
+    const revealBtn = document.createElement("button");
+    revealBtn.type = "button";
+    revealBtn.className = `safespace-span-reveal safespace-span-reveal--${getSeverityClass(score)}${offline ? " safespace-span-reveal--offline" : ""}`;
+    revealBtn.setAttribute("data-safespace", "span");
+    revealBtn.dataset.safespaceCategory = category;
+    revealBtn.dataset.safespaceScore = score;
+    revealBtn.setAttribute("aria-expanded", "false");
+    const detail = category === MUTED_CATEGORY ? "your mute list" : `${Math.round(score * 100)}%`;
+    revealBtn.setAttribute("aria-label", `${categoryLabel} hidden (${detail}${offline ? ", offline classifier" : ""}) — show`);
+    revealBtn.title = `${categoryLabel} · ${detail}`;
+    revealBtn.textContent = `${getCategoryIcon(category, score)} Show`;
+    marks[0].after(revealBtn);
+
+    const toggle = () => {
+      const revealed = revealBtn.getAttribute("aria-expanded") !== "true";
+      marks.forEach((mark) => mark.classList.toggle("safespace-span--revealed", revealed));
+      revealBtn.setAttribute("aria-expanded", String(revealed));
+      revealBtn.textContent = `${getCategoryIcon(category, score)} ${revealed ? "Hide" : "Show"}`;
+      scheduleNavigator();
+    };
+
+    const request = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      const revealed = revealBtn.getAttribute("aria-expanded") === "true";
+      if (settings.parentalLock && !revealed) {
+        showPinDialog((unlocked) => { if (unlocked) toggle(); });
+      } else {
+        toggle();
+      }
+    };
+
+    revealBtn.addEventListener("click", request);
+    marks.forEach((mark) => mark.addEventListener("click", (e) => {
+      if (!mark.classList.contains("safespace-span--revealed")) request(e);
+    }));
   }
 
   function toggleReveal(wrapper, blurLayer, badge, revealBtn) {
@@ -319,6 +933,7 @@
     badge.classList.toggle("safespace-badge--revealed", !isRevealed);
     revealBtn.textContent = isRevealed ? "Show" : "Hide";
     revealBtn.setAttribute("aria-expanded", String(!isRevealed));
+    scheduleNavigator();
   }
 
   // ─── Parental Lock — Reveal Gate ──────────────────────────────────────────────
@@ -389,7 +1004,7 @@
     return overlay;
   }
 
-  function showPinDialog(callback) {
+  async function showPinDialog(callback) {
     if (!pinDialog) pinDialog = buildPinDialog();
 
     pinCallback     = callback;
@@ -397,6 +1012,11 @@
     updatePinDots();
     setPinError("");
 
+    // The lockout is shared by every tab, so ask the background rather than
+    // trusting what this page saw
+    const status = await sendMessage({ type: "PARENTAL_GET_STATUS" });
+    pinLockoutEnd = status?.lockedOutUntil || 0;
+
     // If still in lockout period, show remaining time and disable keypad
     if (Date.now() < pinLockoutEnd) {
       disablePinKeypad(true);
@@ -452,29 +1072,33 @@
     });
 
     if (result?.success) {
-      // Correct — reset attempts and reveal
-      pinAttempts = 0;
       pinLockoutEnd = 0;
       hidePinDialog(true);
     } else {
-      // Wrong PIN
-      pinAttempts++;
+      // Wrong PIN — the background counts attempts across all tabs
       pinCurrentInput = "";
       updatePinDots();
       shakeDots();
 
-      if (pinAttempts >= 3) {
-        pinLockoutEnd = Date.now() + 30_000;
-        pinAttempts   = 0;
+      if (result?.error === "locked_out") {
+        pinLockoutEnd = result.retryAt;
         disablePinKeypad(true);
         startLockoutCountdown();
       } else {
-        const left = 3 - pinAttempts;
-        setPinError(`Incorrect PIN — ${left} attempt${left !== 1 ? "s" : ""} left`);
+        setPinError(pinFailureMessage(result));
       }
     }
   }
 
+  function pinFailureMessage(result) {
+    if (result?.error === "locked_out") {
+      return `Too many attempts — try again in ${Math.ceil((result.retryAt - Date.now()) / 1000)}s`;
+    }
+    const left = result?.attemptsLeft;
+    if (left == null) return "Incorrect PIN";
+    return `Incorrect PIN — ${left} attempt${left !== 1 ? "s" : ""} left`;
+  }
+
   function updatePinDots() {
     if (!pinDialog) return;
     pinDialog.querySelectorAll(".ss-dot").forEach((dot, i) => {
@@ -520,46 +1144,94 @@
     tick();
   }
 
-  function addEvidenceButton(wrapper, text, scores) {
+  /**
+   * Show `container` unblurred and hide SafeSpace's own UI while `capture`
+   * runs, so the screenshot is of what was flagged rather than of the blur.
+   * Waits for a frame to be painted first; the blur comes back afterwards.
+   */
+  async function whileCapturing(container, capture) {
+    // The page's own root, plus the shadow host or frame document the item sits in
+    const itemRoot = container.getRootNode();
+    const marked = new Set([document.documentElement, itemRoot.host || itemRoot.documentElement]);
+    container.setAttribute("data-safespace-capturing", "");
+    marked.forEach((el) => el.classList.add("safespace-capturing"));
+    try {
+      await new Promise((resolve) => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+      return await capture();
+    } finally {
+      marked.forEach((el) => el.classList.remove("safespace-capturing"));
+      container.removeAttribute("data-safespace-capturing");
+    }
+  }
+
+  /**
+   * @param {HTMLElement} container - Where the button goes (blur wrapper or masked node)
+   * @param {HTMLElement} node - The flagged block, for context capture
+   */
+  function addEvidenceButton(container, node, text, scores, meta) {
     const evBtn = document.createElement("button");
     evBtn.className = "safespace-evidence-btn";
     evBtn.type = "button";
     evBtn.textContent = "📋 Capture";
     evBtn.title = "Capture as evidence for reporting";
     evBtn.setAttribute("aria-label", "Capture this content as evidence for reporting");
-    evBtn.addEventListener("click", (e) => {
+    evBtn.setAttribute("data-safespace", "evidence");
+    evBtn.addEventListener("click", async (e) => {
       e.stopPropagation();
-      sendMessage({
-        type: "CAPTURE_EVIDENCE",
-        payload: { text, scores, url: window.location.href, timestamp: Date.now() },
-      });
-      evBtn.textContent = "✅ Saved";
+      // The screenshot shows the content unblurred, so it takes the same PIN as revealing it
+      if (settings.parentalLock && !describeFlagged(container).revealed) {
+        const unlocked = await new Promise((resolve) => showPinDialog(resolve));
+        if (!unlocked) return;
+      }
       evBtn.disabled = true;
-      evBtn.setAttribute("aria-label", "Evidence captured and saved");
+      evBtn.textContent = "⏳ Saving…";
+      try {
+        // Read the thread as it is now, at the moment of capture
+        const context = adapter.context(node);
+        const res = await whileCapturing(container, () => sendMessage({
+          type: "CAPTURE_EVIDENCE",
+          payload: { text, scores, url: window.location.href, timestamp: Date.now(), meta, context },
+        }));
+        if (!res?.success) throw new Error(res?.error || "Capture failed");
+        // Background tabs can't be screenshotted; the text and scores are still saved
+        evBtn.textContent = res.screenshot ? "✅ Saved" : "✅ Saved (no screenshot)";
+        evBtn.setAttribute("aria-label", "Evidence captured and saved");
+      } catch (err) {
+        console.warn("[SafeSpace AI] Evidence capture failed:", err);
+        evBtn.textContent = "⚠️ Retry";
+        evBtn.disabled = false;
+      }
     });
-    wrapper.appendChild(evBtn);
+    container.appendChild(evBtn);
   }
 
   // ─── Mutation Observer ────────────────────────────────────────────────────────
 
-  function setupMutationObserver() {
+  function observeRoot(root) {
     const observer = new MutationObserver((mutations) => {
       if (!settings.enabled) return;
 
-      let hasNew = false;
+      const candidates = [];
       mutations.forEach(({ addedNodes }) => {
         addedNodes.forEach((node) => {
           if (node.nodeType !== Node.ELEMENT_NODE) return;
-          hasNew = true;
-          if (node.matches?.(CONTENT_SELECTORS)) queueNode(node);
-          node.querySelectorAll?.(CONTENT_SELECTORS).forEach(queueNode);
+          candidates.push(...adapter.collect(node));
+          // Widgets and frames added later bring roots of their own
+          findRoots(node).forEach((found) => {
+            if (addRoot(found)) candidates.push(...adapter.collect(found));
+          });
         });
       });
 
-      if (hasNew) scheduleFlush();
+      // Segment the whole mutation batch at once so overlapping additions collapse
+      if (candidates.length) {
+        segmentBlocks(candidates).forEach(queueNode);
+        scheduleFlush();
+      }
     });
 
-    observer.observe(document.body, { childList: true, subtree: true });
+    const target = root === document ? document.body : root;
+    observer.observe(target, { childList: true, subtree: true });
   }
 
   // ─── Floating Notification ────────────────────────────────────────────────────
@@ -597,38 +1269,287 @@
   // ─── Message Listener ─────────────────────────────────────────────────────────
 
   function setupMessageListener() {
-    chrome.runtime.onMessage.addListener((message) => {
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       if (message.type === "SETTINGS_UPDATED") {
-        settings = message.payload;
-        if (!settings.enabled) {
-          removeAllBlurs();
-        } else {
-          // Sync inline PIN area visibility on all existing blurred wrappers
-          document.querySelectorAll("[data-safespace='true']").forEach((w) => {
-            if (typeof w._updatePinVisibility === "function") w._updatePinVisibility();
-          });
-        }
+        // The broadcast carries the raw settings; re-resolve this site's rule
+        loadSettings().then(applyUpdatedSettings);
+      }
+
+      if (message.type === "MUTED_AUTHORS_UPDATED") {
+        const { author, domain, muted, count, reason } = message.payload || {};
+        if (domain && domain !== window.location.hostname.replace(/^www\./, "")) return;
+        loadMutedAuthors().then(() => {
+          applyAuthorMutes();
+          if (muted && reason === "rule") {
+            showFloatingAlert(`🙈 Hiding posts from ${author} on this site after ${count} detections — undo in SafeSpace.`, "info");
+          }
+        });
+      }
+
+      if (message.type === "GET_PAGE_SUMMARY") {
+        sendResponse(pageSummary());
+      }
+
+      if (message.type === "REVEAL_ALL") {
+        sendResponse(revealAll());
+      }
+
+      // Keyboard shortcut, forwarded by the background (see "commands" in the manifest)
+      if (message.type === "NAVIGATE_FLAGGED") {
+        jumpToFlagged(navIndex + (message.payload?.step || 1));
       }
 
       // FIX: RESCAN_PAGE now properly clears processed markers
       if (message.type === "RESCAN_PAGE") {
-        document.querySelectorAll(`[${PROCESSED_ATTR}]`).forEach((el) => {
+        queryAll(`[${PROCESSED_ATTR}]`).forEach((el) => {
           el.removeAttribute(PROCESSED_ATTR);
         });
         removeAllBlurs();
-        scanPage();
+        // Everything is about to be detected again — start the tab's badge over
+        sendMessage({ type: "RESET_PAGE_COUNT" }).catch(() => {}).then(scanPage);
+        sendResponse({ success: true });
       }
     });
   }
 
+  // ─── Page Summary ─────────────────────────────────────────────────────────────
+
+  /**
+   * What SafeSpace is covering on this page, for the popup. A blurred block
+   * and a precise-mode masked range each count as one item.
+   * @returns {{ blurred: number, hidden: number, revealed: number, byCategory: Object<string, number>, parentalLock: boolean }}
+   */
+  function pageSummary() {
+    const summary = { blurred: 0, hidden: 0, revealed: 0, byCategory: {}, parentalLock: !!settings.parentalLock };
+    const count = (category, isHidden, isRevealed) => {
+      if (isRevealed) summary.revealed += 1;
+      else if (isHidden) summary.hidden += 1;
+      else summary.blurred += 1;
+      summary.byCategory[category] = (summary.byCategory[category] || 0) + 1;
+    };
+
+    queryAll("[data-safespace='true']").forEach((wrapper) => {
+      count(
+        wrapper.dataset.safespaceCategory,
+        wrapper.classList.contains("safespace-blur-wrapper--hidden"),
+        wrapper.dataset.revealed === "true",
+      );
+    });
+    queryAll(".safespace-span-reveal").forEach((btn) => {
+      count(btn.dataset.safespaceCategory, false, btn.getAttribute("aria-expanded") === "true");
+    });
+    return summary;
+  }
+
+  /**
+   * Reveal every blurred item on the page. Hidden items (mute list "hide",
+   * muted people) stay hidden — they were hidden on purpose.
+   */
+  function revealAll() {
+    if (settings.parentalLock) return { success: false, error: "parental_lock" };
+
+    let revealed = 0;
+    queryAll("[data-safespace='true']:not(.safespace-blur-wrapper--hidden):not([data-revealed='true'])").forEach((wrapper) => {
+      wrapper.querySelector(":scope > .safespace-badge .safespace-reveal-btn")?.click();
+      revealed += 1;
+    });
+    queryAll(".safespace-span-reveal[aria-expanded='false']").forEach((btn) => {
+      btn.click();
+      revealed += 1;
+    });
+    return { success: true, revealed };
+  }
+
+  // ─── Navigator ────────────────────────────────────────────────────────────────
+  // Optional floating list of everything flagged on the page, so long threads
+  // can be walked item by item instead of scrolled through.
+
+  let navPanel = null;
+  let navOpen = false;
+  let navIndex = -1;        // Last item jumped to
+  let navTimer = null;
+
+  /** Blurred wrappers and precise-mode masked blocks, in page order. */
+  function flaggedItems() {
+    return queryAll("[data-safespace='true'], [data-safespace-masked]").sort((a, b) => (
+      a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+    ));
+  }
+
+  function describeFlagged(el) {
+    const masked = el.hasAttribute("data-safespace-masked");
+    const source = masked ? el.querySelector(".safespace-span-reveal") : el;
+    const category = source?.dataset.safespaceCategory;
+    const score = Number(source?.dataset.safespaceScore) || 0;
+
+    // The page text without our own controls
+    const clone = (masked ? el : el.querySelector(".safespace-blur-layer") || el).cloneNode(true);
+    clone.querySelectorAll("[data-safespace], .safespace-evidence-btn").forEach((child) => child.remove());
+    const text = clone.textContent.replace(/\s+/g, " ").trim();
+
+    return {
+      category,
+      score,
+      muted: category === MUTED_CATEGORY || category === MUTED_AUTHOR_CATEGORY,
+      hidden: el.classList.contains("safespace-blur-wrapper--hidden"),
+      revealed: masked
+        ? !el.querySelector(".safespace-span-reveal[aria-expanded='false']")
+        : el.dataset.revealed === "true",
+      preview: text.length > 80 ? `${text.slice(0, 80)}…` : text,
+    };
+  }
+
+  // Detections arrive in bursts — redraw once they settle
+  function scheduleNavigator() {
+    clearTimeout(navTimer);
+    navTimer = setTimeout(renderNavigator, 250);
+  }
+
+  function renderNavigator() {
+    clearTimeout(navTimer);
+    const items = settings.enabled && settings.navigatorPanel ? flaggedItems() : [];
+    if (items.length === 0) {
+      navPanel?.remove();
+      navPanel = null;
+      return;
+    }
+    if (!navPanel) navPanel = buildNavigator();
+
+    navPanel.querySelector(".safespace-nav-count").textContent = `${items.length} flagged`;
+    const list = navPanel.querySelector(".safespace-nav-list");
+    list.hidden = !navOpen;
+    list.replaceChildren(...items.map((el, i) => {
+      const info = describeFlagged(el);
+      const entry = document.createElement("li");
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = `safespace-nav-item${i === navIndex ? " safespace-nav-item--current" : ""}`;
+      btn.addEventListener("click", () => jumpToFlagged(i));
+
+      const head = document.createElement("span");
+      head.className = "safespace-nav-item-head";
+      head.textContent = `${getCategoryIcon(info.category, info.score)} ${getCategoryLabel(info.category)}`;
+
+      const detail = document.createElement("small");
+      detail.textContent = info.hidden ? "Hidden" : info.muted ? "Muted" : `${getSeverityLabel(info.score)} · ${Math.round(info.score * 100)}%`;
+      head.appendChild(detail);
+
+      // The preview stays blurred until the item itself is revealed
+      const preview = document.createElement("span");
+      preview.className = `safespace-nav-preview${info.revealed ? "" : " safespace-nav-preview--blurred"}`;
+      preview.textContent = info.preview;
+      if (!info.revealed) preview.setAttribute("aria-hidden", "true");
+
+      btn.append(head, preview);
+      entry.appendChild(btn);
+      return entry;
+    }));
+  }
+
+  function buildNavigator() {
+    const panel = document.createElement("div");
+    panel.className = "safespace-nav";
+    panel.setAttribute("data-safespace", "navigator");
+    panel.setAttribute("role", "region");
+    panel.setAttribute("aria-label", "SafeSpace flagged items");
+
+    const toggle = document.createElement("button");
+    toggle.type = "button";
+    toggle.className = "safespace-nav-toggle";
+    toggle.setAttribute("aria-expanded", String(navOpen));
+    toggle.innerHTML = `<span aria-hidden="true">🛡️</span> <span class="safespace-nav-count"></span>`;
+    toggle.addEventListener("click", () => {
+      navOpen = !navOpen;
+      toggle.setAttribute("aria-expanded", String(navOpen));
+      panel.querySelector(".safespace-nav-list").hidden = !navOpen;
+    });
+
+    const prev = document.createElement("button");
+    prev.type = "button";
+    prev.className = "safespace-nav-step";
+    prev.textContent = "‹";
+    prev.title = "Previous flagged item";
+    prev.setAttribute("aria-label", "Previous flagged item");
+    prev.addEventListener("click", () => jumpToFlagged(navIndex - 1));
+
+    const next = document.createElement("button");
+    next.type = "button";
+    next.className = "safespace-nav-step";
+    next.textContent = "›";
+    next.title = "Next flagged item";
+    next.setAttribute("aria-label", "Next flagged item");
+    next.addEventListener("click", () => jumpToFlagged(navIndex + 1));
+
+    const head = document.createElement("div");
+    head.className = "safespace-nav-head";
+    head.append(toggle, prev, next);
+
+    const list = document.createElement("ol");
+    list.className = "safespace-nav-list";
+    list.hidden = !navOpen;
+
+    panel.append(head, list);
+    document.body.appendChild(panel);
+    return panel;
+  }
+
+  /** Scroll to a flagged item (wrapping around at either end) and focus its reveal control. */
+  function jumpToFlagged(index) {
+    const items = flaggedItems();
+    if (items.length === 0) return;
+    navIndex = ((index % items.length) + items.length) % items.length;
+    const el = items[navIndex];
+
+    el.scrollIntoView({ behavior: "smooth", block: "center" });
+    el.querySelector(".safespace-reveal-btn, .safespace-span-reveal")?.focus({ preventScroll: true });
+    el.classList.add("safespace-nav-target");
+    setTimeout(() => el.classList.remove("safespace-nav-target"), 1500);
+    if (navPanel) renderNavigator();
+  }
+
+  function applyUpdatedSettings() {
+    syncComposer();
+    renderNavigator();
+    if (!settings.enabled) {
+      removeAllBlurs();
+      stopScanning();
+      return;
+    }
+    // Sync inline PIN area visibility on all existing blurred wrappers
+    queryAll("[data-safespace='true']").forEach((w) => {
+      if (typeof w._updatePinVisibility === "function") w._updatePinVisibility();
+    });
+    // Protection may have just been switched on for this site
+    startScanning();
+  }
+
+  /**
+   * Take a blurred node back out of its wrapper.
+   * @returns {Node|null} The node that was wrapped
+   */
+  function unwrapBlur(wrapper) {
+    const inner = wrapper.querySelector(".safespace-blur-layer");
+    const node = inner?.firstChild || null;
+    if (node) {
+      if (node.dataset) delete node.dataset.safespaceBlurred;
+      wrapper.parentNode?.insertBefore(node, wrapper);
+    }
+    wrapper.remove();
+    scheduleNavigator();
+    return node;
+  }
+
   function removeAllBlurs() {
-    document.querySelectorAll("[data-safespace='true']").forEach((wrapper) => {
-      const inner = wrapper.querySelector(".safespace-blur-layer");
-      if (inner?.firstChild) {
-        wrapper.parentNode?.insertBefore(inner.firstChild, wrapper);
-      }
-      wrapper.remove();
+    queryAll("[data-safespace='true']").forEach(unwrapBlur);
+
+    // Precise-mode masks: unwrap the text and drop the inline controls
+    queryAll("[data-safespace-masked]").forEach((node) => {
+      node.querySelectorAll(".safespace-span-reveal, .safespace-evidence-btn").forEach((el) => el.remove());
+      node.querySelectorAll(".safespace-span").forEach((mark) => mark.replaceWith(...mark.childNodes));
+      node.normalize();
+      delete node.dataset.safespaceMasked;
     });
+    scheduleNavigator();
   }
 
   // ─── Helpers ──────────────────────────────────────────────────────────────────
@@ -652,6 +1573,17 @@
     return "🔔";
   }
 
+  function getCategoryIcon(category, score) {
+    if (category === MUTED_AUTHOR_CATEGORY) return "🙈";
+    return category === MUTED_CATEGORY ? "🔇" : getSeverityIcon(score);
+  }
+
+  function escapeHtml(str) {
+    return String(str).replace(/[&<>"']/g, (c) => (
+      { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]
+    ));
+  }
+
   function getCategoryLabel(category) {
     const map = {
       toxicity:          "Toxic Content",
@@ -660,6 +1592,8 @@
       insult:            "Insult Detected",
       identity_attack:   "Hate Speech",
       sexually_explicit: "Explicit Content",
+      muted_word:        "Muted word",
+      muted_author:      "Muted person",
     };
     return map[category] || "Harmful Content";
   }
@@ -0,0 +1,126 @@
+/**
+ * SafeSpace AI — Mute List
+ * User-defined words, wildcards and regular expressions, checked on-device
+ * before text is sent to the classifier. Loaded before content.js (and by the
+ * popup, to validate entries) and exposed as window.SafeSpaceMuteList.
+ *
+ * An entry in settings.muteWords looks like
+ *   { pattern: "jdoe*", type: "word" | "wildcard" | "regex", action: "blur" | "hide" | "alert" }
+ * Words and wildcards match whole words, ignoring case. In a wildcard "*"
+ * stands for any run of letters or digits and "?" for exactly one.
+ */
+
+(function () {
+  "use strict";
+
+  if (window.SafeSpaceMuteList) return;
+
+  const TYPES = ["word", "wildcard", "regex"];
+  const ACTIONS = ["blur", "hide", "alert"];
+
+  // When several entries match one block, the strongest action wins
+  const ACTION_RANK = { alert: 0, blur: 1, hide: 2 };
+
+  const WORD_CHAR = "[\\p{L}\\p{N}_]";
+
+  function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }
+
+  /**
+   * Build the RegExp for one entry.
+   * @throws {SyntaxError} For an invalid regular expression
+   */
+  function toRegExp({ pattern, type }) {
+    const source = String(pattern || "").trim();
+    if (!source) throw new SyntaxError("Pattern is empty");
+
+    if (type === "regex") {
+      // Accept "/body/flags" or a bare body; stateful flags are dropped
+      const literal = source.match(/^\/(.+)\/([a-z]*)$/s);
+      const flags = literal ? literal[2].replace(/[gy]/g, "") : "i";
+      return new RegExp(literal ? literal[1] : source, flags);
+    }
+
+    let body = escapeRegExp(source).replace(/\s+/g, "\\s+");
+    if (type === "wildcard") {
+      body = body.replace(/\\\*/g, `${WORD_CHAR}*`).replace(/\\\?/g, WORD_CHAR);
+    }
+    return new RegExp(`(?<!${WORD_CHAR})${body}(?!${WORD_CHAR})`, "iu");
+  }
+
+  /**
+   * Turn what the user typed into an entry: "/…/" is a regular expression,
+   * text with * or ? is a wildcard, anything else a plain word or phrase.
+   */
+  function fromInput(input, action = "blur") {
+    const pattern = String(input || "").trim();
+    const type = /^\/.+\/[a-z]*$/s.test(pattern) ? "regex" : /[*?]/.test(pattern) ? "wildcard" : "word";
+    return { pattern, type, action: ACTIONS.includes(action) ? action : "blur" };
+  }
+
+  /**
+   * @returns {string|null} Why the entry can't be used, or null when it's valid
+   */
+  function validate(entry) {
+    if (!TYPES.includes(entry?.type)) return "Unknown pattern type";
+    if (!ACTIONS.includes(entry.action)) return "Unknown action";
+    try {
+      const re = toRegExp(entry);
+      if (re.test("")) return "Pattern matches empty text";
+    } catch (err) {
+      return err.message;
+    }
+    return null;
+  }
+
+  /**
+   * Compile a list of entries into a matcher. Invalid entries are skipped.
+   * match(text) returns { action, ranges: [{ begin, end }] } for the strongest
+   * matching action, or null.
+   */
+  function compile(entries) {
+    const compiled = [];
+    (entries || []).forEach((entry) => {
+      if (validate(entry)) {
+        console.warn("[SafeSpace AI] Skipping invalid mute entry:", entry?.pattern);
+        return;
+      }
+      const re = toRegExp(entry);
+      compiled.push({ action: entry.action, re: new RegExp(re.source, `${re.flags}g`) });
+    });
+
+    return {
+      size: compiled.length,
+
+      match(text) {
+        let best = null;
+        compiled.forEach(({ action, re }) => {
+          if (best && ACTION_RANK[action] < ACTION_RANK[best.action]) return;
+
+          const ranges = [];
+          re.lastIndex = 0;
+          for (let m = re.exec(text); m; m = re.exec(text)) {
+            if (m[0].length === 0) {
+              re.lastIndex += 1;
+              continue;
+            }
+            ranges.push({ begin: m.index, end: m.index + m[0].length });
+          }
+          if (ranges.length === 0) return;
+
+          if (!best || ACTION_RANK[action] > ACTION_RANK[best.action]) {
+            best = { action, ranges };
+          } else {
+            best.ranges.push(...ranges);
+          }
+        });
+
+        if (best) best.ranges.sort((a, b) => a.begin - b.begin);
+        return best;
+      },
+    };
+  }
+
+  window.SafeSpaceMuteList = { TYPES, ACTIONS, fromInput, validate, compile };
+})();
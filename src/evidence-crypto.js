@@ -0,0 +1,154 @@
+/**
+ * SafeSpace AI — Evidence Encryption
+ * Optional encryption at rest for the evidence vault, all in WebCrypto.
+ *
+ * Each record is sealed with its own random AES-GCM key, which is wrapped with
+ * an RSA-OAEP public key. The matching private key is stored wrapped with an
+ * AES-GCM key derived from the user's passphrase (PBKDF2). So new captures can
+ * be sealed while the vault is locked — only the public key is needed — but
+ * nothing can be read back without the passphrase.
+ *
+ * While unlocked, the private key is held in chrome.storage.session: memory
+ * only, cleared when the browser closes, and not readable by content scripts.
+ */
+
+const KEY_MATERIAL_KEY = "safespace_vault_key";
+const SESSION_KEY = "safespace_vault_unlocked";
+
+const PBKDF2_ITERATIONS = 310000;
+const RSA_PARAMS = { name: "RSA-OAEP", modulusLength: 3072, publicExponent: new Uint8Array([1, 0, 1]), hash: "SHA-256" };
+
+export const SEAL_ALGORITHM = "RSA-OAEP-3072+AES-256-GCM";
+
+// ─── Encoding ────────────────────────────────────────────────────────────────
+
+function toBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = "";
+  // Screenshots run to megabytes — build the string in chunks
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), (ch) => ch.charCodeAt(0));
+}
+
+function randomBytes(length) {
+  return crypto.getRandomValues(new Uint8Array(length));
+}
+
+// ─── Keys ────────────────────────────────────────────────────────────────────
+
+async function deriveKek(passphrase, salt, iterations) {
+  const base = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+    base,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"],
+  );
+}
+
+/**
+ * Create a new key pair protected by `passphrase`.
+ * @returns {Promise<{ material: Object, privateJwk: Object }>}
+ */
+export async function createKeyMaterial(passphrase) {
+  const pair = await crypto.subtle.generateKey(RSA_PARAMS, true, ["encrypt", "decrypt"]);
+  const privateJwk = await crypto.subtle.exportKey("jwk", pair.privateKey);
+  const salt = randomBytes(16);
+  const iv = randomBytes(12);
+  const kek = await deriveKek(passphrase, salt, PBKDF2_ITERATIONS);
+  const wrapped = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv }, kek, new TextEncoder().encode(JSON.stringify(privateJwk)),
+  );
+
+  return {
+    material: {
+      version: 1,
+      id: toBase64(randomBytes(9)),
+      algorithm: SEAL_ALGORITHM,
+      kdf: { name: "PBKDF2", hash: "SHA-256", iterations: PBKDF2_ITERATIONS, salt: toBase64(salt) },
+      publicKey: await crypto.subtle.exportKey("jwk", pair.publicKey),
+      wrappedPrivateKey: { iv: toBase64(iv), data: toBase64(wrapped) },
+      createdAt: Date.now(),
+    },
+    privateJwk,
+  };
+}
+
+/**
+ * Recover the private key from stored material.
+ * @returns {Promise<Object|null>} The private JWK, or null for a wrong passphrase
+ */
+export async function openKeyMaterial(material, passphrase) {
+  const kek = await deriveKek(passphrase, fromBase64(material.kdf.salt), material.kdf.iterations);
+  try {
+    const plain = await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: fromBase64(material.wrappedPrivateKey.iv) },
+      kek,
+      fromBase64(material.wrappedPrivateKey.data),
+    );
+    return JSON.parse(new TextDecoder().decode(plain));
+  } catch {
+    return null; // AES-GCM authentication failed — wrong passphrase
+  }
+}
+
+export async function getKeyMaterial() {
+  const data = await chrome.storage.local.get(KEY_MATERIAL_KEY);
+  return data[KEY_MATERIAL_KEY] || null;
+}
+
+export async function saveKeyMaterial(material) {
+  if (material) await chrome.storage.local.set({ [KEY_MATERIAL_KEY]: material });
+  else await chrome.storage.local.remove(KEY_MATERIAL_KEY);
+}
+
+// ─── Session ─────────────────────────────────────────────────────────────────
+
+/** The unlocked private JWK, or null while locked. */
+export async function getUnlockedKey() {
+  const data = await chrome.storage.session.get(SESSION_KEY);
+  return data[SESSION_KEY] || null;
+}
+
+export async function setUnlockedKey(privateJwk) {
+  if (privateJwk) await chrome.storage.session.set({ [SESSION_KEY]: privateJwk });
+  else await chrome.storage.session.remove(SESSION_KEY);
+}
+
+// ─── Sealing ─────────────────────────────────────────────────────────────────
+
+/**
+ * Encrypt a JSON value to a public key.
+ * @returns {Promise<{ alg: string, keyId: string, key: string, iv: string, data: string }>}
+ */
+export async function seal(value, material) {
+  const publicKey = await crypto.subtle.importKey("jwk", material.publicKey, RSA_PARAMS, false, ["encrypt"]);
+  const dataKey = await crypto.subtle.generateKey({ name: "AES-GCM", length: 256 }, true, ["encrypt"]);
+  const iv = randomBytes(12);
+  const data = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv }, dataKey, new TextEncoder().encode(JSON.stringify(value)),
+  );
+  const wrappedKey = await crypto.subtle.encrypt(
+    { name: "RSA-OAEP" }, publicKey, await crypto.subtle.exportKey("raw", dataKey),
+  );
+  return { alg: SEAL_ALGORITHM, keyId: material.id, key: toBase64(wrappedKey), iv: toBase64(iv), data: toBase64(data) };
+}
+
+/**
+ * Decrypt a value sealed with seal().
+ * @throws {Error} When the key doesn't match or the data was altered
+ */
+export async function unseal(envelope, privateJwk) {
+  const privateKey = await crypto.subtle.importKey("jwk", privateJwk, RSA_PARAMS, false, ["decrypt"]);
+  const rawKey = await crypto.subtle.decrypt({ name: "RSA-OAEP" }, privateKey, fromBase64(envelope.key));
+  const dataKey = await crypto.subtle.importKey("raw", rawKey, "AES-GCM", false, ["decrypt"]);
+  const plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv: fromBase64(envelope.iv) }, dataKey, fromBase64(envelope.data));
+  return JSON.parse(new TextDecoder().decode(plain));
+}
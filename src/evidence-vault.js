@@ -0,0 +1,393 @@
+/**
+ * SafeSpace AI — Evidence Vault
+ * Captured evidence in IndexedDB: full text, scores, page metadata and a
+ * screenshot, with no fixed item limit. Records form a SHA-256 hash chain —
+ * each one's hash covers its content and the previous record's hash — so an
+ * exported bundle shows whether anything was changed, reordered or removed.
+ *
+ * Removing a record keeps a tombstone with its hashes, so the chain still
+ * verifies; only clearing the whole vault starts a new chain.
+ *
+ * With encryption on (see evidence-crypto.js) a record's page and content
+ * fields are stored sealed. Hashes are always over the plaintext, so turning
+ * encryption on or off, or changing the passphrase, leaves the chain intact.
+ */
+
+import {
+  createKeyMaterial, openKeyMaterial, getKeyMaterial, saveKeyMaterial,
+  getUnlockedKey, setUnlockedKey, seal, unseal,
+} from "./evidence-crypto.js";
+import { LEGACY_EVIDENCE_SCHEMA, loadMigrated } from "./migrations.js";
+
+const DB_NAME = "safespace_vault";
+const DB_VERSION = 1;
+const STORE = "evidence";
+
+export const GENESIS_HASH = "0".repeat(64);
+export const BUNDLE_FORMAT = "safespace-evidence-vault";
+
+// Everything a record's contentHash covers
+const CONTENT_FIELDS = ["id", "capturedAt", "url", "tabTitle", "pageTimestamp", "text", "scores", "meta", "screenshot"];
+// Added later — hashed only when present, so older records keep their hashes
+const OPTIONAL_CONTENT_FIELDS = ["context"];
+
+// The part of a record that is encrypted; ids and times stay readable for listing
+const SEALED_FIELDS = ["url", "tabTitle", "text", "scores", "meta", "screenshot", "context"];
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// ─── Database ────────────────────────────────────────────────────────────────
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore(STORE, { keyPath: "seq" });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  return dbPromise;
+}
+
+function promisify(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function store(mode) {
+  const db = await openDb();
+  return db.transaction(STORE, mode).objectStore(STORE);
+}
+
+/** Write several records in one transaction. */
+async function putAll(records) {
+  const db = await openDb();
+  const tx = db.transaction(STORE, "readwrite");
+  records.forEach((record) => tx.objectStore(STORE).put(record));
+  await new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/** The newest record, or null for an empty vault. */
+async function head() {
+  const cursor = await promisify((await store("readonly")).openCursor(null, "prev"));
+  return cursor?.value || null;
+}
+
+// Hashing needs awaits between the read of the head and the write, which an
+// IndexedDB transaction can't span — serialize appends instead
+let pending = Promise.resolve();
+
+function serialize(task) {
+  const run = pending.then(task);
+  pending = run.catch(() => {});
+  return run;
+}
+
+// ─── Hashing ─────────────────────────────────────────────────────────────────
+
+async function sha256Hex(text) {
+  const buf = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(buf)).map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/** JSON with object keys sorted, so the same content always hashes the same. */
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+export function contentHash(record) {
+  const content = Object.fromEntries(CONTENT_FIELDS.map((key) => [key, record[key] ?? null]));
+  OPTIONAL_CONTENT_FIELDS.forEach((key) => {
+    if (record[key] != null) content[key] = record[key];
+  });
+  return sha256Hex(canonicalJson(content));
+}
+
+export function chainHash(seq, prevHash, hashOfContent) {
+  return sha256Hex(`${seq}:${prevHash}:${hashOfContent}`);
+}
+
+// ─── Writing ─────────────────────────────────────────────────────────────────
+
+async function append(entry) {
+  const last = await head();
+  const seq = (last?.seq || 0) + 1;
+  const prevHash = last?.hash || GENESIS_HASH;
+
+  const record = {
+    id: `ev_${Date.now()}_${seq}`,
+    capturedAt: entry.capturedAt || Date.now(),
+    url: entry.url || "",
+    tabTitle: entry.tabTitle || "",
+    pageTimestamp: entry.pageTimestamp ?? null,
+    text: entry.text || "",
+    scores: entry.scores || {},
+    meta: entry.meta || null,
+    screenshot: entry.screenshot || null,
+    context: entry.context || null,
+  };
+  const hashOfContent = await contentHash(record);
+  Object.assign(record, {
+    seq,
+    prevHash,
+    contentHash: hashOfContent,
+    hash: await chainHash(seq, prevHash, hashOfContent),
+  });
+
+  const material = await getKeyMaterial();
+  const stored = material ? await sealRecord(record, material) : record;
+  await promisify((await store("readwrite")).add(stored));
+  return record;
+}
+
+/**
+ * Append a capture to the chain.
+ * @param {Object} entry - { url, tabTitle, pageTimestamp, text, scores, meta, screenshot, context }
+ * @returns {Promise<Object>} The stored record
+ */
+export function addEvidence(entry) {
+  return serialize(() => append(entry));
+}
+
+/**
+ * Remove a record's content but keep its place (and hashes) in the chain.
+ */
+export function deleteEvidence(seq) {
+  return serialize(async () => {
+    const record = await promisify((await store("readonly")).get(seq));
+    if (!record || record.deleted) return false;
+    const { id, capturedAt, prevHash, contentHash: hashOfContent, hash } = record;
+    await promisify((await store("readwrite")).put({
+      seq, id, capturedAt, prevHash, contentHash: hashOfContent, hash, deleted: true, deletedAt: Date.now(),
+    }));
+    return true;
+  });
+}
+
+/** Delete everything; the next capture starts a new chain. */
+export function clearVault() {
+  return serialize(async () => {
+    await promisify((await store("readwrite")).clear());
+  });
+}
+
+/**
+ * Move captures from the old chrome.storage.local list into the vault, oldest first.
+ * @returns {Promise<number>} How many were imported
+ */
+export function importLegacyEvidence() {
+  return serialize(async () => {
+    const legacy = await loadMigrated(LEGACY_EVIDENCE_SCHEMA);
+    if (!Array.isArray(legacy)) return 0;
+    for (const ev of [...legacy].reverse()) {
+      await append({
+        capturedAt: ev.timestamp, url: ev.url, tabTitle: ev.tabTitle, pageTimestamp: ev.timestamp,
+        text: ev.text, scores: ev.scores, meta: ev.meta,
+      });
+    }
+    await chrome.storage.local.remove([LEGACY_EVIDENCE_SCHEMA.key, LEGACY_EVIDENCE_SCHEMA.versionKey]);
+    return legacy.length;
+  });
+}
+
+// ─── Encryption ──────────────────────────────────────────────────────────────
+
+async function sealRecord(record, material) {
+  const content = Object.fromEntries(SEALED_FIELDS.map((key) => [key, record[key] ?? null]));
+  const rest = Object.fromEntries(Object.entries(record).filter(([key]) => !SEALED_FIELDS.includes(key)));
+  return { ...rest, hasScreenshot: !!record.screenshot, sealed: await seal(content, material) };
+}
+
+async function unsealRecord(record, privateJwk) {
+  const { sealed, hasScreenshot, ...rest } = record;
+  return { ...rest, ...(await unseal(sealed, privateJwk)) };
+}
+
+/** Live records that hold content (tombstones have none to encrypt). */
+function hasContent(record) {
+  return !record.deleted;
+}
+
+/** Key material and the unlocked private key, or an error result. */
+async function unlockWith(passphrase) {
+  const material = await getKeyMaterial();
+  if (!material) return { error: "not_encrypted" };
+  const privateJwk = await openKeyMaterial(material, String(passphrase || ""));
+  return privateJwk ? { material, privateJwk } : { error: "wrong_passphrase" };
+}
+
+function checkPassphrase(passphrase) {
+  return String(passphrase || "").length >= MIN_PASSPHRASE_LENGTH ? null : "weak_passphrase";
+}
+
+/** { encrypted, unlocked } */
+export async function vaultStatus() {
+  const material = await getKeyMaterial();
+  return { encrypted: !!material, unlocked: !!material && !!(await getUnlockedKey()) };
+}
+
+/**
+ * Turn encryption on and seal every stored record. Leaves the vault unlocked
+ * for this browser session.
+ */
+export function enableEncryption(passphrase) {
+  return serialize(async () => {
+    const weak = checkPassphrase(passphrase);
+    if (weak) return { success: false, error: weak };
+    if (await getKeyMaterial()) return { success: false, error: "already_encrypted" };
+
+    const { material, privateJwk } = await createKeyMaterial(passphrase);
+    const records = (await allEvidence()).filter(hasContent);
+    await putAll(await Promise.all(records.map((record) => sealRecord(record, material))));
+    await saveKeyMaterial(material);
+    await setUnlockedKey(privateJwk);
+    return { success: true };
+  });
+}
+
+export async function unlockVault(passphrase) {
+  const result = await unlockWith(passphrase);
+  if (result.error) return { success: false, error: result.error };
+  await setUnlockedKey(result.privateJwk);
+  return { success: true };
+}
+
+export async function lockVault() {
+  await setUnlockedKey(null);
+}
+
+/**
+ * Re-encrypt every record under a new key pair protected by `next`.
+ */
+export function changePassphrase(current, next) {
+  return serialize(async () => {
+    const weak = checkPassphrase(next);
+    if (weak) return { success: false, error: weak };
+    const old = await unlockWith(current);
+    if (old.error) return { success: false, error: old.error };
+
+    const { material, privateJwk } = await createKeyMaterial(next);
+    const records = (await allEvidence()).filter((record) => record.sealed);
+    const resealed = await Promise.all(records.map(async (record) => (
+      sealRecord(await unsealRecord(record, old.privateJwk), material)
+    )));
+    await putAll(resealed);
+    await saveKeyMaterial(material);
+    await setUnlockedKey(privateJwk);
+    return { success: true };
+  });
+}
+
+/** Decrypt every record and turn encryption off. */
+export function disableEncryption(passphrase) {
+  return serialize(async () => {
+    const unlocked = await unlockWith(passphrase);
+    if (unlocked.error) return { success: false, error: unlocked.error };
+
+    const records = (await allEvidence()).filter((record) => record.sealed);
+    await putAll(await Promise.all(records.map((record) => unsealRecord(record, unlocked.privateJwk))));
+    await saveKeyMaterial(null);
+    await setUnlockedKey(null);
+    return { success: true };
+  });
+}
+
+// ─── Reading ─────────────────────────────────────────────────────────────────
+
+/** Every record as stored (sealed when encrypted), oldest first. */
+export async function allEvidence() {
+  return promisify((await store("readonly")).getAll());
+}
+
+/**
+ * Every record, oldest first, decrypted when the vault is unlocked. Records
+ * that stay sealed (vault locked) keep their `sealed` envelope and no content.
+ */
+export async function readableEvidence() {
+  const records = await allEvidence();
+  const privateJwk = await getUnlockedKey();
+  if (!privateJwk) return records;
+  return Promise.all(records.map((record) => (record.sealed ? unsealRecord(record, privateJwk) : record)));
+}
+
+/**
+ * Newest records first, without screenshot data (the popup list only needs to
+ * know there is one). A null `limit` lists them all.
+ */
+export async function listEvidence(limit = 50) {
+  const records = (await readableEvidence()).reverse().slice(0, limit ?? undefined);
+  return records.map(({ screenshot, sealed, ...rest }) => ({
+    ...rest,
+    locked: !!sealed,
+    hasScreenshot: sealed ? !!rest.hasScreenshot : !!screenshot,
+  }));
+}
+
+// ─── Verification ────────────────────────────────────────────────────────────
+
+/**
+ * Check a chain of records (oldest first). Sealed records can only have their
+ * links checked; `unchecked` counts how many had content that couldn't be.
+ * @returns {Promise<{ ok: boolean, count: number, unchecked: number, brokenAt: number|null, reason: string|null }>}
+ */
+export async function verifyChain(records) {
+  let prevHash = GENESIS_HASH;
+  let unchecked = 0;
+  for (const record of records) {
+    const fail = (reason) => ({ ok: false, count: records.length, unchecked, brokenAt: record.seq, reason });
+
+    if (record.prevHash !== prevHash) return fail("Record does not follow the one before it");
+    // Tombstones keep their original content hash; live records must still match theirs
+    if (record.sealed) {
+      unchecked += 1;
+    } else if (!record.deleted && (await contentHash(record)) !== record.contentHash) {
+      return fail("Record content was changed");
+    }
+    if ((await chainHash(record.seq, record.prevHash, record.contentHash)) !== record.hash) {
+      return fail("Record hash does not match");
+    }
+    prevHash = record.hash;
+  }
+  return { ok: true, count: records.length, unchecked, brokenAt: null, reason: null };
+}
+
+/**
+ * Everything in the vault as one self-describing JSON bundle. An encrypted
+ * vault exports sealed records plus the passphrase-protected key, so the
+ * bundle can only be read with the passphrase.
+ */
+export async function exportBundle() {
+  const records = await allEvidence();
+  const material = await getKeyMaterial();
+  return {
+    format: BUNDLE_FORMAT,
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    hashAlgorithm: "SHA-256",
+    genesisHash: GENESIS_HASH,
+    chainHead: records[records.length - 1]?.hash || GENESIS_HASH,
+    verification: await verifyChain(records),
+    encryption: material
+      ? { algorithm: material.algorithm, kdf: material.kdf, publicKey: material.publicKey, wrappedPrivateKey: material.wrappedPrivateKey }
+      : null,
+    records,
+  };
+}
@@ -0,0 +1,164 @@
+/**
+ * SafeSpace AI — Storage Migrations
+ * Versioned schemas for what the background worker keeps in
+ * chrome.storage.local. Each store has an ordered list of migrations: the one
+ * at index i takes data from version i to version i + 1, so a store's current
+ * version is the length of its list. Data written before versioning counts as
+ * version 0.
+ *
+ * Migrations run when the extension is updated and again whenever a store is
+ * loaded, so data restored from an older install catches up on first use. A
+ * migration that throws leaves the stored data untouched and keeps a copy
+ * under `<key>_backup`; the old data is then used as-is until a fixed release.
+ *
+ * Vault records aren't migrated here: their content is covered by the hash
+ * chain (see evidence-vault.js), and the IndexedDB schema has its own version.
+ */
+
+import { FILTER_DEFS } from "./settings-model.js";
+import { recordDay } from "./stats-history.js";
+
+// ─── Schemas ─────────────────────────────────────────────────────────────────
+
+export const SETTINGS_SCHEMA = {
+  key: "safespace_settings",
+  migrations: [
+    // 1: per-category thresholds. Before them every category used the global
+    // sensitivity, so that's what each category starts from.
+    (settings) => ({
+      ...settings,
+      thresholds: Object.fromEntries(FILTER_DEFS.map(({ key }) => [
+        key, settings.thresholds?.[key] ?? settings.sensitivityThreshold ?? 0.7,
+      ])),
+    }),
+  ],
+};
+
+export const STATS_SCHEMA = {
+  key: "safespace_stats",
+  migrations: [
+    // 1: offline detections counted separately; events record site and author
+    (stats) => ({
+      ...stats,
+      totalScanned: stats.totalScanned || 0,
+      totalBlocked: stats.totalBlocked || 0,
+      offlineBlocked: stats.offlineBlocked || 0,
+      sessionsProtected: stats.sessionsProtected || 0,
+      byCategory: stats.byCategory || {},
+      recentEvents: (stats.recentEvents || []).map((event) => ({
+        offline: false, site: null, author: null, ...event,
+      })),
+    }),
+    // 2: daily history. Only the recent events can be placed on a day, so the
+    // history starts with those (scanned counts before it are unknown).
+    (stats) => {
+      const daily = {};
+      stats.recentEvents.forEach((event) => {
+        recordDay(daily, { ts: event.timestamp, domain: event.domain, category: event.category || "unknown" });
+      });
+      return { ...stats, daily };
+    },
+  ],
+};
+
+// The evidence list from before the vault. It's an array, so its version is
+// kept next to it. Only importLegacyEvidence() loads it, inside the vault's
+// write queue, so a migration can't write the list back after it's imported.
+export const LEGACY_EVIDENCE_SCHEMA = {
+  key: "safespace_evidence",
+  versionKey: "safespace_evidence_schema",
+  migrations: [
+    // 1: page metadata (author, permalink) — captures from before it have none
+    (list) => list.map((ev, i) => ({
+      ...ev,
+      id: ev.id || `ev_${ev.timestamp}_${i}`,
+      meta: ev.meta ?? null,
+    })),
+  ],
+};
+
+/** The version a store's data should be at. */
+export function currentVersion(schema) {
+  return schema.migrations.length;
+}
+
+// ─── Running ─────────────────────────────────────────────────────────────────
+
+async function read(schema) {
+  const keys = schema.versionKey ? [schema.key, schema.versionKey] : [schema.key];
+  const stored = await chrome.storage.local.get(keys);
+  const data = stored[schema.key];
+  const version = schema.versionKey ? stored[schema.versionKey] : data?.schemaVersion;
+  return { data, version: Number.isInteger(version) ? version : 0 };
+}
+
+/**
+ * Apply the migrations `data` hasn't had yet.
+ * @returns {{ data: any, version: number }}
+ * @throws {Error} From the first migration that fails, with `fromVersion` set
+ */
+export function migrate(schema, data, version) {
+  let migrated = structuredClone(data);
+  for (let v = version; v < currentVersion(schema); v++) {
+    try {
+      migrated = schema.migrations[v](migrated);
+    } catch (err) {
+      err.fromVersion = v;
+      throw err;
+    }
+  }
+  if (!schema.versionKey) migrated.schemaVersion = currentVersion(schema);
+  return { data: migrated, version: currentVersion(schema) };
+}
+
+async function backup(schema, data, version, err) {
+  const backupKey = `${schema.key}_backup`;
+  const { [backupKey]: existing } = await chrome.storage.local.get(backupKey);
+  // The first failure from a version keeps the copy; later loads fail the same way
+  if (existing?.schemaVersion === version) return;
+  await chrome.storage.local.set({
+    [backupKey]: { schemaVersion: version, failedAt: Date.now(), error: err.message, data },
+  });
+}
+
+async function upgrade(schema) {
+  // Read again — another caller may have migrated or saved since the first look
+  const { data, version } = await read(schema);
+  // Nothing stored, or newer than this release knows (e.g. after a rollback)
+  if (data === undefined || version >= currentVersion(schema)) return data;
+
+  try {
+    const result = migrate(schema, data, version);
+    await chrome.storage.local.set({
+      [schema.key]: result.data,
+      ...(schema.versionKey ? { [schema.versionKey]: result.version } : {}),
+    });
+    console.log(`[SafeSpace AI] Migrated ${schema.key} from v${version} to v${result.version}.`);
+    return result.data;
+  } catch (err) {
+    console.error(`[SafeSpace AI] Migrating ${schema.key} from v${err.fromVersion ?? version} failed:`, err);
+    await backup(schema, data, version, err);
+    return data;
+  }
+}
+
+// Callers that load a store while it's being migrated wait for that migration
+const inFlight = new Map();
+
+/**
+ * Read a store, migrating and saving it first if it's behind.
+ * @returns {Promise<any>} The stored data (undefined when there is none)
+ */
+export async function loadMigrated(schema) {
+  const { data, version } = await read(schema);
+  if (data === undefined || version >= currentVersion(schema)) return data;
+  if (!inFlight.has(schema.key)) {
+    inFlight.set(schema.key, upgrade(schema).finally(() => inFlight.delete(schema.key)));
+  }
+  return inFlight.get(schema.key);
+}
+
+/** Bring settings and stats up to date (on extension update). */
+export async function runMigrations() {
+  for (const schema of [SETTINGS_SCHEMA, STATS_SCHEMA]) await loadMigrated(schema);
+}
@@ -0,0 +1,146 @@
+/**
+ * SafeSpace AI — Offender Ledger
+ * Local record of who keeps triggering detections, per site. Each entry holds
+ * counts, categories and first/last seen times — never the text itself.
+ * Authors are muted by hand from the popup or automatically once they reach
+ * settings.autoMuteAfter detections; muted authors' posts are hidden on that site.
+ */
+
+const LEDGER_KEY = "safespace_offenders";
+const MAX_ENTRIES = 500;
+
+// Detections arrive in bursts from several tabs — serialize read-modify-write
+let pending = Promise.resolve();
+
+function update(mutator) {
+  const run = pending.then(async () => {
+    const data = await chrome.storage.local.get(LEDGER_KEY);
+    const ledger = data[LEDGER_KEY] || {};
+    const result = await mutator(ledger);
+    await chrome.storage.local.set({ [LEDGER_KEY]: ledger });
+    return result;
+  });
+  pending = run.catch(() => {});
+  return run;
+}
+
+async function read() {
+  await pending;
+  const data = await chrome.storage.local.get(LEDGER_KEY);
+  return data[LEDGER_KEY] || {};
+}
+
+/** Hostname without "www.", so example.com and www.example.com share a ledger. */
+export function ledgerDomain(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, "");
+  } catch {
+    return null;
+  }
+}
+
+function entryKey(domain, author) {
+  return `${domain}|${author}`;
+}
+
+/** Drop the least recently seen unmuted entries once the ledger is full. */
+function prune(ledger) {
+  const keys = Object.keys(ledger);
+  if (keys.length <= MAX_ENTRIES) return;
+  keys
+    .filter((key) => !ledger[key].muted)
+    .sort((a, b) => ledger[a].lastSeen - ledger[b].lastSeen)
+    .slice(0, keys.length - MAX_ENTRIES)
+    .forEach((key) => delete ledger[key]);
+}
+
+// ─── Recording ───────────────────────────────────────────────────────────────
+
+/**
+ * Count a detection against its author and apply the auto-mute rule.
+ * @param {Object} meta - Adapter metadata; detections without an author are ignored
+ * @param {string} url - Page the detection happened on
+ * @param {string} category
+ * @param {number} autoMuteAfter - Detections before muting; 0 disables the rule
+ * @returns {Promise<{ entry: Object, newlyMuted: boolean } | null>}
+ */
+export function recordOffense(meta, url, category, autoMuteAfter) {
+  const domain = ledgerDomain(url);
+  if (!meta?.author || !domain) return Promise.resolve(null);
+
+  return update((ledger) => {
+    const key = entryKey(domain, meta.author);
+    const now = Date.now();
+    const entry = ledger[key] || {
+      key,
+      author: meta.author,
+      authorUrl: null,
+      site: meta.site || null,
+      domain,
+      count: 0,
+      categories: {},
+      firstSeen: now,
+      lastSeen: now,
+      muted: false,
+      mutedAt: null,
+      mutedBy: null,
+      countAtUnmute: 0,
+    };
+
+    entry.count += 1;
+    entry.lastSeen = now;
+    entry.authorUrl = meta.authorUrl || entry.authorUrl;
+    if (category) entry.categories[category] = (entry.categories[category] || 0) + 1;
+
+    // After an undo, the author has to reach the limit again from that point
+    const sinceUnmute = entry.count - entry.countAtUnmute;
+    const newlyMuted = !entry.muted && autoMuteAfter > 0 && sinceUnmute >= autoMuteAfter;
+    if (newlyMuted) {
+      Object.assign(entry, { muted: true, mutedAt: now, mutedBy: "rule" });
+    }
+
+    ledger[key] = entry;
+    prune(ledger);
+    return { entry, newlyMuted };
+  });
+}
+
+// ─── Queries ─────────────────────────────────────────────────────────────────
+
+/** Author names muted on the page's site. */
+export async function getMutedAuthors(url) {
+  const domain = ledgerDomain(url);
+  return Object.values(await read())
+    .filter((entry) => entry.muted && entry.domain === domain)
+    .map((entry) => entry.author);
+}
+
+/** Every ledger entry, most recently seen first. */
+export async function listOffenders() {
+  return Object.values(await read()).sort((a, b) => b.lastSeen - a.lastSeen);
+}
+
+// ─── Changes ─────────────────────────────────────────────────────────────────
+
+/**
+ * Mute or unmute an entry by key.
+ * @returns {Promise<Object|null>} The updated entry, or null if unknown
+ */
+export function setMuted(key, muted) {
+  return update((ledger) => {
+    const entry = ledger[key];
+    if (!entry) return null;
+    if (muted) {
+      Object.assign(entry, { muted: true, mutedAt: Date.now(), mutedBy: "user" });
+    } else {
+      Object.assign(entry, { muted: false, mutedAt: null, mutedBy: null, countAtUnmute: entry.count });
+    }
+    return entry;
+  });
+}
+
+export function clearOffenders() {
+  return update((ledger) => {
+    Object.keys(ledger).forEach((key) => { delete ledger[key]; });
+  });
+}
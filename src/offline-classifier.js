@@ -0,0 +1,140 @@
+/**
+ * SafeSpace AI — Offline Classifier
+ * On-device fallback used when no API key is set or the classifier API is
+ * unreachable. Scores come from weighted lexicons plus a few heuristics
+ * (second-person targeting, shouting, explicit threat phrasing), so results
+ * are coarser than a real model — callers label them as "offline".
+ * English only; no text ever leaves the extension.
+ */
+
+// ─── Lexicons ────────────────────────────────────────────────────────────────
+// [term, weight]. Terms match on word boundaries; a trailing "*" matches any
+// suffix ("idiot*" → idiots, idiotic). Letters may repeat ("stuuupid").
+
+const LEXICONS = {
+  TOXICITY: [
+    ["fuck*", 1.1], ["shit*", 0.8], ["crap*", 0.4], ["damn*", 0.3], ["hell", 0.2],
+    ["bullshit", 0.8], ["wtf", 0.5], ["stfu", 0.9], ["shut up", 0.6], ["piss*", 0.5],
+    ["suck*", 0.4], ["trash", 0.4], ["garbage", 0.4], ["disgusting", 0.5], ["pathetic", 0.6],
+    ["hate you", 1.0], ["nobody likes you", 0.9], ["get lost", 0.4], ["screw you", 0.9],
+  ],
+  SEVERE_TOXICITY: [
+    ["kill yourself", 2.0], ["kys", 1.8], ["go die", 1.6], ["hope you die", 1.8],
+    ["drink bleach", 1.8], ["neck yourself", 1.8], ["motherfuck*", 1.4], ["fuck you", 1.2],
+    ["piece of shit", 1.3], ["worthless piece", 1.2], ["should be raped", 2.0],
+  ],
+  THREAT: [
+    ["kill you", 1.6], ["hurt you", 1.3], ["beat you", 1.1], ["shoot you", 1.6], ["stab you", 1.6],
+    ["find you", 0.7], ["coming for you", 1.2], ["watch your back", 1.4], ["you're dead", 1.4],
+    ["youre dead", 1.4], ["you are dead", 1.4], ["i know where you live", 1.8],
+    ["gonna kill", 1.5], ["going to kill", 1.5], ["will kill", 1.3], ["burn your house", 1.7],
+    ["you will pay", 1.0], ["regret it", 0.5], ["dox*", 1.0], ["swat*", 0.6],
+  ],
+  INSULT: [
+    ["idiot*", 1.0], ["stupid*", 0.9], ["moron*", 1.1], ["dumb*", 0.8], ["loser*", 0.9],
+    ["ugly", 0.8], ["fat", 0.4], ["pathetic", 0.8], ["worthless", 1.0], ["useless", 0.7],
+    ["clown", 0.6], ["freak*", 0.8], ["creep*", 0.6], ["imbecile*", 1.1], ["retard*", 1.3],
+    ["bitch*", 1.2], ["asshole*", 1.2], ["jerk*", 0.6], ["slut*", 1.3], ["whore*", 1.3],
+    ["dickhead*", 1.2], ["scum*", 1.0], ["trash human", 1.1], ["waste of space", 1.1],
+  ],
+  IDENTITY_ATTACK: [
+    ["you people", 0.7], ["go back to your country", 1.6], ["go back where you came from", 1.6],
+    ["subhuman*", 1.6], ["vermin", 1.2], ["inferior race", 1.8], ["your kind", 0.8],
+    ["should be deported", 1.2], ["don't belong here", 0.9], ["dont belong here", 0.9],
+    ["not a real woman", 1.3], ["not a real man", 1.3], ["mentally ill freaks", 1.5],
+    ["terrorist*", 0.7], ["invaders", 0.9], ["breeding like", 1.3],
+  ],
+  SEXUALLY_EXPLICIT: [
+    ["porn*", 1.0], ["nude*", 0.9], ["naked", 0.7], ["nsfw", 0.8], ["sexy", 0.5],
+    ["dick pic*", 1.5], ["send nudes", 1.6], ["boobs", 0.9], ["tits", 1.0], ["pussy", 1.2],
+    ["cock", 1.1], ["blowjob*", 1.5], ["horny", 1.0], ["sext*", 1.1], ["onlyfans", 0.6],
+  ],
+};
+
+// Second-person pronouns — abuse aimed at someone scores higher than abuse in general
+const TARGETING_RE = /\b(you|your|you're|youre|ur|u|ya|yourself)\b/i;
+
+// Categories that get a boost when the text addresses someone directly
+const TARGETED_ATTRIBUTES = new Set(["TOXICITY", "INSULT", "THREAT", "SEVERE_TOXICITY"]);
+
+// ─── Compilation ─────────────────────────────────────────────────────────────
+
+function termToPattern(term) {
+  const wildcard = term.endsWith("*");
+  const body = (wildcard ? term.slice(0, -1) : term)
+    .split("")
+    .map((ch) => (ch === " " ? "\\s+" : ch.replace(/[.*+?^${}()|[\]\\]/g, "\\$&") + "+"))
+    .join("");
+  return new RegExp(`\\b${body}${wildcard ? "\\w*" : "\\b"}`, "gi");
+}
+
+const COMPILED = Object.fromEntries(
+  Object.entries(LEXICONS).map(([attr, terms]) => [
+    attr,
+    terms.map(([term, weight]) => ({ re: termToPattern(term), weight })),
+  ])
+);
+
+// ─── Scoring ─────────────────────────────────────────────────────────────────
+
+/**
+ * Undo common obfuscation so "1d10t" and "$tupid" still match.
+ */
+function normalizeText(text) {
+  return String(text)
+    .toLowerCase()
+    // Only touch tokens that also contain letters, so plain numbers survive
+    .replace(/\S+/g, (token) => (/[a-z]/.test(token)
+      ? token
+        .replace(/0/g, "o").replace(/1/g, "i").replace(/3/g, "e")
+        .replace(/[4@]/g, "a").replace(/[5$]/g, "s").replace(/7/g, "t")
+        .replace(/([a-z])[*_.\-]+(?=[a-z])/g, "$1")
+      : token))
+    .replace(/\s+/g, " ");
+}
+
+/** Squash a summed weight into a 0–1 score; one strong term ≈ 0.7. */
+function squash(total) {
+  return 1 - Math.exp(-total);
+}
+
+/**
+ * Score a text against the lexicons for the requested attributes.
+ * @param {string} text
+ * @param {string[]} attributes - Perspective attribute names, e.g. ["TOXICITY", "THREAT"]
+ * @returns {Object} { [attribute]: number } raw scores, 0–1
+ */
+export function classifyOffline(text, attributes) {
+  const normalized = normalizeText(text);
+  const letters = text.replace(/[^a-z]/gi, "");
+  const shouting = letters.length >= 20 &&
+    letters.replace(/[^A-Z]/g, "").length / letters.length > 0.6;
+  const exclaims = (text.match(/!/g) || []).length;
+  const targeted = TARGETING_RE.test(normalized);
+
+  const totals = {};
+  Object.entries(COMPILED).forEach(([attr, terms]) => {
+    totals[attr] = terms.reduce((sum, { re, weight }) => {
+      const hits = normalized.match(re)?.length || 0;
+      // Repeats add less than the first hit
+      return hits ? sum + weight * (1 + 0.25 * (hits - 1)) : sum;
+    }, 0);
+  });
+
+  // Heavy profanity aimed at someone is severe even without a severe phrase
+  if (targeted && totals.TOXICITY >= 2) totals.SEVERE_TOXICITY += 0.6;
+  // Threats, insults and identity attacks all count towards general toxicity
+  totals.TOXICITY += 0.5 * totals.THREAT + 0.4 * totals.INSULT + 0.4 * totals.IDENTITY_ATTACK;
+
+  const scores = {};
+  attributes.forEach((attr) => {
+    let total = totals[attr] || 0;
+    if (total > 0 && targeted && TARGETED_ATTRIBUTES.has(attr)) total *= 1.3;
+    if (total > 0 && attr === "TOXICITY") {
+      if (shouting) total += 0.3;
+      if (exclaims >= 3) total += 0.15;
+    }
+    scores[attr] = Math.round(squash(total) * 1000) / 1000;
+  });
+  return scores;
+}
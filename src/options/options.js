@@ -0,0 +1,744 @@
+/**
+ * SafeSpace AI — Options Dashboard
+ * Full-page view of everything the popup manages: settings, detection history,
+ * evidence and parental controls. Settings come from the same model modules as
+ * the popup and go through the same background messages, so the two stay in step.
+ * Sections are picked by the URL hash (#settings, #history, #evidence, #parental).
+ */
+
+import { FILTER_DEFS, PROFILES, CATEGORY_LABELS, MUTE_ACTION_LABELS, applyProfile, applyThreshold } from "../settings-model.js";
+import { normalizePattern, isValidPattern, describeSiteRule, setSiteRule } from "../site-rules.js";
+import {
+  activeSchedule, describeDays, profileLabel, scheduleEnd, scheduleError, customProfileFrom, newScheduleId,
+} from "../schedules.js";
+import { exportBundle } from "../evidence-vault.js";
+import { escapeHtml, hostnameOf, timeAgo, formatClock } from "../page-format.js";
+import { setMsg, setToggle, toggleSwitch, downloadFile } from "../page-ui.js";
+import {
+  connectPage, sendMessage, saveSettings, broadcastSettings, debounceSave, pinBlocked, renderLockGate,
+  renderParentalControls, renderProviderPicker, testClassifier, renderSiteRules, saveSiteRules,
+  renderMuteList, renderMutedPeople, renderSyncStatus, bindSettingsControls,
+} from "../page-settings.js";
+import { renderChainStatus, renderVaultCard, bindVaultCard } from "../page-vault.js";
+import { summarizeDays, statsCsv, eventsCsv, DEFAULT_RETENTION_DAYS } from "../stats-history.js";
+
+// ─── Constants ────────────────────────────────────────────────────────────────
+
+const SECTIONS = ["settings", "history", "evidence", "parental"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// On/off settings listed under Features, with their default when unset
+const SWITCHES = [
+  { key: "notificationsEnabled", on: true,  label: "Notifications",         desc: "Alert when content is detected" },
+  { key: "evidenceMode",         on: false, label: "Evidence Mode",         desc: "Capture button on flagged content" },
+  { key: "composerCheck",        on: false, label: "Pause Before You Post", desc: "Check my own drafts before sending · never stored" },
+  { key: "navigatorPanel",       on: false, label: "On-Page Navigator",     desc: "List flagged items in a panel on each page" },
+  { key: "offlineFallback",      on: true,  label: "Offline Fallback",      desc: "On-device filtering when the API is unavailable" },
+];
+
+// ─── State ────────────────────────────────────────────────────────────────────
+
+let settings = {};
+let stats = {};
+let providers = [];
+let evidence = [];               // Newest first, as listed by the background worker
+let selectedSeqs = new Set();    // Captures ticked in the Evidence section
+let historyDays = 30;            // Period of the daily totals and top sites
+
+// ─── Shared Controls ──────────────────────────────────────────────────────────
+
+// Same controls as the popup (page-settings.js), laid out as tables here
+connectPage({
+  get settings() { return settings; },
+  set settings(next) { settings = next; },
+  redraw: () => {
+    renderHeader();
+    renderSettingsSection();
+    renderParentalControls();
+  },
+  lists: {
+    siteRules: {
+      empty: `<tr><td colspan="3" class="empty">No site rules yet</td></tr>`,
+      row: (rule, i) => `
+        <tr>
+          <td class="mono">${escapeHtml(rule.pattern)}</td>
+          <td>${escapeHtml(describeSiteRule(rule))}</td>
+          <td class="num">
+            <button class="options-remove" data-remove="${i}"
+                    aria-label="Remove rule for ${escapeHtml(rule.pattern)}">×</button>
+          </td>
+        </tr>
+      `,
+    },
+    muteWords: {
+      empty: `<tr><td colspan="4" class="empty">Nothing muted yet</td></tr>`,
+      row: (entry, i) => `
+        <tr>
+          <td class="mono" style="overflow-wrap:anywhere">${escapeHtml(entry.pattern)}</td>
+          <td>${escapeHtml(entry.type)}</td>
+          <td>${escapeHtml(MUTE_ACTION_LABELS[entry.action] || entry.action)}</td>
+          <td class="num">
+            <button class="options-remove" data-remove="${i}" aria-label="Unmute ${escapeHtml(entry.pattern)}">×</button>
+          </td>
+        </tr>
+      `,
+    },
+    // Everyone in the offender ledger: muted people first, then by detections
+    mutedPeople: {
+      pick: (offenders) => offenders.sort((a, b) => Number(b.muted) - Number(a.muted) || b.count - a.count),
+      empty: `<tr><td colspan="6" class="empty">No one muted yet</td></tr>`,
+      row: (o) => `
+        <tr class="${o.muted ? "" : "is-muted"}">
+          <td style="font-weight:500">${escapeHtml(o.author)}</td>
+          <td>${escapeHtml(o.domain)}</td>
+          <td class="num">${o.count}</td>
+          <td>${timeAgo(o.lastSeen)}</td>
+          <td>${o.muted ? (o.mutedBy === "rule" ? "Auto-muted" : "Muted") : "—"}</td>
+          <td class="num">
+            <button class="btn-ghost" data-offender="${escapeHtml(o.key)}" data-muted="${o.muted}"
+                    style="font-size:11px;padding:3px 10px"
+                    aria-label="${o.muted ? "Unmute" : "Mute"} ${escapeHtml(o.author)} on ${escapeHtml(o.domain)}">
+              ${o.muted ? "Unmute" : "Mute"}
+            </button>
+          </td>
+        </tr>
+      `,
+    },
+  },
+});
+
+// ─── Init ─────────────────────────────────────────────────────────────────────
+
+document.addEventListener("DOMContentLoaded", async () => {
+  [settings, stats, providers] = await Promise.all([
+    sendMessage({ type: "GET_SETTINGS" }),
+    sendMessage({ type: "GET_STATS" }),
+    sendMessage({ type: "GET_PROVIDERS" }),
+  ]);
+
+  renderHeader();
+  renderSettingsSection();
+  renderLockGate();
+  bindEvents();
+  showSection(location.hash.slice(1));
+});
+
+window.addEventListener("hashchange", () => showSection(location.hash.slice(1)));
+
+// ─── Sections ─────────────────────────────────────────────────────────────────
+
+function showSection(name) {
+  const section = SECTIONS.includes(name) ? name : "settings";
+  document.querySelectorAll(".options-section").forEach((el) => {
+    el.classList.toggle("active", el.id === `section-${section}`);
+  });
+  document.querySelectorAll(".options-nav a").forEach((link) => {
+    const active = link.dataset.section === section;
+    link.classList.toggle("active", active);
+    if (active) link.setAttribute("aria-current", "page");
+    else link.removeAttribute("aria-current");
+  });
+
+  if (section === "history") {
+    sendMessage({ type: "GET_STATS" }).then((s) => { stats = s; renderHeader(); renderHistorySection(); });
+  }
+  if (section === "evidence") renderEvidenceSection();
+  if (section === "parental") renderParentalControls();
+}
+
+// ─── Render: Header ───────────────────────────────────────────────────────────
+
+function renderHeader() {
+  setToggle(document.getElementById("master-toggle"), settings.enabled);
+  document.getElementById("toggle-text").textContent = settings.enabled ? "ON" : "OFF";
+  document.getElementById("status-label").textContent = settings.enabled ? "Protection active" : "Protection paused";
+
+  document.getElementById("hdr-blocked").textContent = stats.totalBlocked || 0;
+  document.getElementById("hdr-scanned").textContent = stats.totalScanned || 0;
+  document.getElementById("hdr-sessions").textContent = stats.sessionsProtected || 0;
+}
+
+// ─── Render: Settings ─────────────────────────────────────────────────────────
+
+function renderSettingsSection() {
+  renderProfiles();
+  renderSensitivity();
+  renderFilters();
+  renderAppearance();
+  renderSwitches();
+  renderProviderPicker(providers);
+  renderSiteRules();
+  renderSchedules();
+  renderMuteList();
+  renderMutedPeople();
+  renderSyncStatus();
+  document.getElementById("auto-mute-select").value = String(settings.autoMuteAfter ?? 3);
+}
+
+/** The profile whose filters and thresholds are exactly the current ones, if any. */
+function activeProfile() {
+  return Object.keys(PROFILES).find((name) => {
+    const profile = PROFILES[name];
+    return FILTER_DEFS.every(({ key }) => !!settings.filters?.[key] === profile.filters[key]
+      && settings.thresholds?.[key] === profile.thresholds[key]);
+  }) || null;
+}
+
+function renderProfiles() {
+  const current = activeProfile();
+  const list = document.getElementById("profile-list");
+  list.innerHTML = Object.entries(PROFILES).map(([name, profile]) => `
+    <button class="blur-pill ${name === current ? "active" : ""}" data-profile="${name}"
+            aria-pressed="${name === current}">${profile.label}</button>
+  `).join("") + (current ? "" : `<span style="font-size:11px;color:var(--muted);align-self:center">Custom</span>`);
+
+  list.querySelectorAll("[data-profile]").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      settings = applyProfile(settings, btn.dataset.profile);
+      saveSettings().then(broadcastSettings);
+      renderProfiles();
+      renderSensitivity();
+      renderFilters();
+    });
+  });
+}
+
+function renderSensitivity() {
+  const slider = document.getElementById("sensitivity-slider");
+  const val = Math.round((settings.sensitivityThreshold || 0.7) * 100);
+  slider.value = val;
+  slider.style.setProperty("--val", val + "%");
+  slider.setAttribute("aria-valuenow", val);
+  document.getElementById("threshold-display").textContent = val + "%";
+}
+
+function renderFilters() {
+  const container = document.getElementById("filter-list");
+  container.innerHTML = FILTER_DEFS.map(({ key, label, icon, desc }) => {
+    const enabled = !!settings.filters?.[key];
+    const val = Math.round((settings.thresholds?.[key] ?? settings.sensitivityThreshold ?? 0.7) * 100);
+    return `
+    <div class="flex flex-col gap-1">
+      <label class="filter-check" style="display:flex;align-items:center;gap:10px;cursor:pointer">
+        <input type="checkbox" data-filter="${key}" ${enabled ? "checked" : ""}
+               aria-label="${label}: ${desc}" />
+        <span style="font-size:16px" aria-hidden="true">${icon}</span>
+        <div style="flex:1">
+          <div style="font-size:13px;font-weight:500">${label}</div>
+          <div style="font-size:11px;color:var(--muted)">${desc}</div>
+        </div>
+        <span data-threshold-display="${key}" style="font-size:12px;font-weight:600;color:var(--rose)">${val}%</span>
+      </label>
+      <input type="range" min="0" max="100" value="${val}" style="--val:${val}%"
+             data-threshold="${key}" ${enabled ? "" : "disabled"}
+             aria-label="${label} threshold" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${val}" />
+    </div>
+  `;
+  }).join("");
+
+  container.querySelectorAll("input[type=checkbox]").forEach((cb) => {
+    cb.addEventListener("change", () => {
+      settings.filters = { ...settings.filters, [cb.dataset.filter]: cb.checked };
+      container.querySelector(`[data-threshold="${cb.dataset.filter}"]`).disabled = !cb.checked;
+      saveSettings().then(broadcastSettings);
+      renderProfiles();
+    });
+  });
+
+  container.querySelectorAll("input[type=range]").forEach((range) => {
+    range.addEventListener("input", () => {
+      const val = range.value;
+      range.style.setProperty("--val", val + "%");
+      range.setAttribute("aria-valuenow", val);
+      container.querySelector(`[data-threshold-display="${range.dataset.threshold}"]`).textContent = val + "%";
+      settings.thresholds = { ...settings.thresholds, [range.dataset.threshold]: val / 100 };
+      debounceSave();
+    });
+    range.addEventListener("change", renderProfiles);
+  });
+}
+
+function renderAppearance() {
+  document.querySelectorAll(".blur-pill[data-blur]").forEach((pill) => {
+    const active = pill.dataset.blur === (settings.blurStrength || "medium");
+    pill.classList.toggle("active", active);
+    pill.setAttribute("aria-pressed", String(active));
+  });
+  document.querySelectorAll(".blur-pill[data-mask]").forEach((pill) => {
+    const active = pill.dataset.mask === (settings.maskMode || "block");
+    pill.classList.toggle("active", active);
+    pill.setAttribute("aria-pressed", String(active));
+  });
+}
+
+function renderSwitches() {
+  const list = document.getElementById("switch-list");
+  list.innerHTML = SWITCHES.map(({ key, on, label, desc }, i) => `
+    ${i ? `<div style="height:1px;background:#f0e4f0" role="separator"></div>` : ""}
+    <div class="flex items-center justify-between">
+      <div>
+        <p style="font-size:13px;font-weight:500" id="switch-${key}-label">${label}</p>
+        <p style="font-size:11px;color:var(--muted)" id="switch-${key}-desc">${desc}</p>
+      </div>
+      <div class="toggle-track ${(settings[key] ?? on) ? "on" : ""}" data-switch="${key}"
+           role="switch" aria-checked="${!!(settings[key] ?? on)}" tabindex="0"
+           aria-labelledby="switch-${key}-label" aria-describedby="switch-${key}-desc">
+        <div class="toggle-thumb"></div>
+      </div>
+    </div>
+  `).join("");
+
+  list.querySelectorAll("[data-switch]").forEach((el) => {
+    const change = () => toggleSwitch(el, (v) => {
+      settings[el.dataset.switch] = v;
+      saveSettings().then(broadcastSettings);
+    });
+    el.addEventListener("click", change);
+    el.addEventListener("keydown", (e) => {
+      if (e.key === " " || e.key === "Enter") { e.preventDefault(); change(); }
+    });
+  });
+
+  // Shortcuts can be changed in chrome://extensions/shortcuts — show the current ones
+  chrome.commands.getAll().then((commands) => {
+    const keys = commands.filter((c) => c.name.endsWith("-flagged") && c.shortcut).map((c) => c.shortcut);
+    if (keys.length) document.getElementById("switch-navigatorPanel-desc").textContent = `List flagged items on each page · ${keys.join(" / ")} to jump`;
+  });
+}
+
+function renderSchedules() {
+  const list = document.getElementById("schedule-list");
+  const schedules = settings.schedules || [];
+  const active = activeSchedule(schedules);
+
+  document.getElementById("schedule-active").textContent = active
+    ? `🕒 Now: ${active.name} (${profileLabel(active)}) until ${formatClock(scheduleEnd(active))}`
+    : "No schedule active right now";
+
+  if (schedules.length === 0) {
+    list.innerHTML = `<tr><td colspan="5" class="empty">No schedules yet</td></tr>`;
+    return;
+  }
+  list.innerHTML = schedules.map((schedule) => `
+    <tr class="${schedule.enabled === false ? "is-muted" : ""}${schedule === active ? " is-selected" : ""}">
+      <td>${escapeHtml(schedule.name)}</td>
+      <td>${escapeHtml(describeDays(schedule.days))} · ${schedule.start === schedule.end ? "all day" : `${schedule.start}–${schedule.end}`}</td>
+      <td>${escapeHtml(profileLabel(schedule))}</td>
+      <td>
+        <input type="checkbox" data-toggle-schedule="${escapeHtml(schedule.id)}" ${schedule.enabled === false ? "" : "checked"}
+               aria-label="Use ${escapeHtml(schedule.name)}" />
+      </td>
+      <td class="num">
+        <button class="options-remove" data-remove-schedule="${escapeHtml(schedule.id)}"
+                aria-label="Remove ${escapeHtml(schedule.name)}">×</button>
+      </td>
+    </tr>
+  `).join("");
+
+  list.querySelectorAll("[data-toggle-schedule]").forEach((box) => {
+    box.addEventListener("change", () => {
+      settings.schedules = schedules.map((s) => (s.id === box.dataset.toggleSchedule ? { ...s, enabled: box.checked } : s));
+      renderSchedules();
+      saveSettings().then(broadcastSettings);
+    });
+  });
+  list.querySelectorAll("[data-remove-schedule]").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      settings.schedules = schedules.filter((s) => s.id !== btn.dataset.removeSchedule);
+      renderSchedules();
+      saveSettings().then(broadcastSettings);
+    });
+  });
+}
+
+// ─── Render: History ──────────────────────────────────────────────────────────
+
+function renderHistorySection() {
+  const summary = summarizeDays(stats.daily, historyDays);
+
+  document.querySelectorAll("[data-history-days]").forEach((pill) => {
+    const active = Number(pill.dataset.historyDays) === historyDays;
+    pill.classList.toggle("active", active);
+    pill.setAttribute("aria-pressed", String(active));
+  });
+  document.getElementById("stats-retention-select").value = String(settings.statsRetentionDays ?? DEFAULT_RETENTION_DAYS);
+  document.getElementById("history-summary").textContent =
+    `${summary.blocked} blocked of ${summary.scanned} scanned in the last ${historyDays} days`;
+
+  document.getElementById("daily-table").innerHTML = [...summary.days].reverse().map((d) => `
+    <tr class="${d.blocked ? "" : "is-muted"}">
+      <td>${formatDay(d.date)}</td>
+      <td class="num">${d.scanned}</td>
+      <td class="num">${d.blocked}</td>
+    </tr>
+  `).join("");
+
+  const domains = document.getElementById("top-domains");
+  const top = summary.topDomains;
+  domains.innerHTML = top.length === 0
+    ? `<p style="font-size:12px;color:var(--muted)">No detections in this period</p>`
+    : top.map(({ domain, scanned, blocked }) => {
+      const width = Math.round((blocked / top[0].blocked) * 100);
+      const rate = scanned ? ` · ${Math.round((blocked / scanned) * 100)}% of scanned` : "";
+      return `
+        <div role="listitem">
+          <div class="flex justify-between mb-1" style="font-size:12px">
+            <span>${escapeHtml(domain)}</span>
+            <span style="color:var(--muted)">${blocked}${rate}</span>
+          </div>
+          <div style="height:6px;background:#f0e4f0;border-radius:3px;overflow:hidden">
+            <div class="cat-bar-fill" style="width:${width}%"></div>
+          </div>
+        </div>`;
+    }).join("");
+
+  renderCategoryOptions();
+  renderEvents();
+}
+
+/** Categories that occur in the events, for the category filter. */
+function renderCategoryOptions() {
+  const select = document.getElementById("event-category");
+  const current = select.value;
+  const categories = [...new Set((stats.recentEvents || []).map((ev) => ev.category).filter(Boolean))];
+  select.innerHTML = `<option value="">All categories</option>` + categories
+    .sort((a, b) => (CATEGORY_LABELS[a] || a).localeCompare(CATEGORY_LABELS[b] || b))
+    .map((cat) => `<option value="${escapeHtml(cat)}">${escapeHtml(CATEGORY_LABELS[cat] || cat)}</option>`)
+    .join("");
+  select.value = categories.includes(current) ? current : "";
+}
+
+/** The recent events that match the History filters. */
+function filteredEvents() {
+  const query = document.getElementById("event-search").value.trim().toLowerCase();
+  const category = document.getElementById("event-category").value;
+  const days = Number(document.getElementById("event-period").value);
+  const source = document.getElementById("event-source").value;
+  const since = days ? Date.now() - days * DAY_MS : 0;
+
+  return (stats.recentEvents || []).filter((ev) => (
+    ev.timestamp >= since
+    && (!category || ev.category === category)
+    && (!source || (source === "offline") === !!ev.offline)
+    && (!query || `${ev.domain} ${ev.author || ""}`.toLowerCase().includes(query))
+  ));
+}
+
+function renderEvents() {
+  const all = stats.recentEvents || [];
+  const events = filteredEvents();
+  document.getElementById("event-count").textContent = all.length
+    ? `Showing ${events.length} of ${all.length} recent detections`
+    : "";
+
+  const list = document.getElementById("event-list");
+  if (events.length === 0) {
+    list.innerHTML = `<tr><td colspan="6" class="empty">${all.length ? "No detections match these filters" : "No detections yet"}</td></tr>`;
+    return;
+  }
+  list.innerHTML = events.map((ev) => `
+    <tr>
+      <td><time datetime="${new Date(ev.timestamp).toISOString()}" title="${new Date(ev.timestamp).toLocaleString()}">${timeAgo(ev.timestamp)}</time></td>
+      <td>${escapeHtml(CATEGORY_LABELS[ev.category] || ev.category || "—")}</td>
+      <td class="num" style="color:var(--rose);font-weight:600">${ev.score}%</td>
+      <td>${escapeHtml(ev.domain)}</td>
+      <td>${escapeHtml(ev.author || "—")}</td>
+      <td>${ev.offline ? "Offline" : "Online"}</td>
+    </tr>
+  `).join("");
+}
+
+/** A YYYY-MM-DD bucket date, read as local time. */
+function formatDay(date) {
+  const [year, month, day] = date.split("-").map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString(undefined, { weekday: "short", month: "short", day: "numeric" });
+}
+
+// ─── Render: Evidence ─────────────────────────────────────────────────────────
+
+async function renderEvidenceSection() {
+  evidence = await sendMessage({ type: "GET_EVIDENCE", payload: { limit: null } }) || [];
+  const live = new Set(evidence.filter((ev) => !ev.deleted).map((ev) => ev.seq));
+  selectedSeqs = new Set([...selectedSeqs].filter((seq) => live.has(seq)));
+  renderChainStatus();
+  renderVaultCard();
+  renderEvidenceList();
+}
+
+/** Captures that match the evidence search; removed ones only without a search. */
+function visibleEvidence() {
+  const query = document.getElementById("evidence-search").value.trim().toLowerCase();
+  if (!query) return evidence;
+  return evidence.filter((ev) => !ev.deleted && !ev.locked
+    && `${ev.text} ${hostnameOf(ev.url)} ${ev.meta?.author || ""}`.toLowerCase().includes(query));
+}
+
+function renderEvidenceList() {
+  const shown = visibleEvidence();
+  const selectable = shown.filter((ev) => !ev.deleted);
+  const list = document.getElementById("evidence-list");
+
+  document.getElementById("evidence-count").textContent = evidence.length
+    ? `${shown.length} of ${evidence.length} captures${selectedSeqs.size ? ` · ${selectedSeqs.size} selected` : ""}`
+    : "";
+  document.getElementById("delete-evidence-btn").disabled = selectedSeqs.size === 0;
+  const selectAll = document.getElementById("evidence-select-all");
+  selectAll.checked = selectable.length > 0 && selectable.every((ev) => selectedSeqs.has(ev.seq));
+  selectAll.indeterminate = !selectAll.checked && selectable.some((ev) => selectedSeqs.has(ev.seq));
+
+  if (shown.length === 0) {
+    list.innerHTML = `<tr><td colspan="7" class="empty">${evidence.length ? "No captures match this search" : "No evidence captured yet"}</td></tr>`;
+    return;
+  }
+
+  list.innerHTML = shown.map((ev) => {
+    const captured = `<time datetime="${new Date(ev.capturedAt).toISOString()}">${new Date(ev.capturedAt).toLocaleString()}</time>`;
+    if (ev.deleted) {
+      return `
+        <tr class="is-muted">
+          <td></td><td>${ev.seq}</td><td>${captured}</td>
+          <td colspan="4">Removed capture · kept in the chain so the export still verifies</td>
+        </tr>`;
+    }
+    const checkbox = `
+      <td class="filter-check">
+        <input type="checkbox" data-evidence-seq="${ev.seq}" ${selectedSeqs.has(ev.seq) ? "checked" : ""}
+               aria-label="Select capture ${ev.seq}" />
+      </td>`;
+    if (ev.locked) {
+      return `
+        <tr class="${selectedSeqs.has(ev.seq) ? "is-selected" : ""}">
+          ${checkbox}<td>${ev.seq}</td><td>${captured}</td>
+          <td colspan="4" style="color:var(--muted)">🔒 Encrypted${ev.hasScreenshot ? " · 📷" : ""} — unlock to read</td>
+        </tr>`;
+    }
+    const [category, score] = topCategory(ev.scores);
+    return `
+      <tr class="${selectedSeqs.has(ev.seq) ? "is-selected" : ""}">
+        ${checkbox}
+        <td>${ev.seq}</td>
+        <td>${captured}</td>
+        <td>${escapeHtml(hostnameOf(ev.url))}</td>
+        <td>${escapeHtml(ev.meta?.author || "—")}</td>
+        <td>${escapeHtml(CATEGORY_LABELS[category] || category)} · ${Math.round(score * 100)}%</td>
+        <td><div class="options-excerpt" title="${escapeHtml(ev.text.substring(0, 500))}">${ev.hasScreenshot ? "📷 " : ""}${escapeHtml(ev.text)}</div></td>
+      </tr>`;
+  }).join("");
+
+  list.querySelectorAll("[data-evidence-seq]").forEach((cb) => {
+    cb.addEventListener("change", () => {
+      const seq = Number(cb.dataset.evidenceSeq);
+      if (cb.checked) selectedSeqs.add(seq);
+      else selectedSeqs.delete(seq);
+      renderEvidenceList();
+    });
+  });
+}
+
+/** The highest-scoring category of a capture, as [category, score]. */
+function topCategory(scores) {
+  return Object.entries(scores || {}).sort(([, a], [, b]) => b - a)[0] || ["unknown", 0];
+}
+
+// ─── Event Bindings ───────────────────────────────────────────────────────────
+
+function bindEvents() {
+  bindSettingsControls();
+  bindVaultCard(renderEvidenceSection);
+
+  // ── Master toggle ──────────────────────────────────────────────────────────
+  const masterToggle = document.getElementById("master-toggle");
+  const toggleMaster = async () => {
+    settings.enabled = !settings.enabled;
+    renderHeader();
+    await saveSettings();
+    broadcastSettings();
+  };
+  masterToggle.addEventListener("click", toggleMaster);
+  masterToggle.addEventListener("keydown", (e) => {
+    if (e.key === " " || e.key === "Enter") { e.preventDefault(); toggleMaster(); }
+  });
+
+  // ── Sensitivity slider ─────────────────────────────────────────────────────
+  const slider = document.getElementById("sensitivity-slider");
+  slider.addEventListener("input", () => {
+    settings = applyThreshold(settings, slider.value / 100);
+    renderSensitivity();
+    debounceSave();
+  });
+  slider.addEventListener("change", () => {
+    renderFilters();
+    renderProfiles();
+  });
+
+  // ── Blur and mask pills ────────────────────────────────────────────────────
+  document.querySelectorAll(".blur-pill[data-blur]").forEach((pill) => {
+    pill.addEventListener("click", () => {
+      settings.blurStrength = pill.dataset.blur;
+      renderAppearance();
+      saveSettings().then(broadcastSettings);
+    });
+  });
+  document.querySelectorAll(".blur-pill[data-mask]").forEach((pill) => {
+    pill.addEventListener("click", () => {
+      settings.maskMode = pill.dataset.mask;
+      renderAppearance();
+      saveSettings().then(broadcastSettings);
+    });
+  });
+
+  // ── Classifier ─────────────────────────────────────────────────────────────
+  document.getElementById("provider-select").addEventListener("change", (e) => {
+    settings.provider = e.target.value;
+    renderProviderPicker(providers);
+    setMsg("classifier-status", "", "");
+    saveSettings();
+  });
+
+  document.getElementById("save-api-key").addEventListener("click", () => {
+    const key = document.getElementById("api-key-input").value.trim();
+    if (!key) { setMsg("classifier-status", "⚠️ Please enter a key", "orange"); return; }
+    settings.apiKey = key;
+    saveSettings().then((res) => res?.success && setMsg("classifier-status", "✅ Key saved", "green"));
+  });
+
+  document.getElementById("save-endpoint").addEventListener("click", () => {
+    const url = document.getElementById("endpoint-url-input").value.trim();
+    if (!/^https?:\/\//i.test(url)) { setMsg("classifier-status", "⚠️ Enter an http(s) URL", "orange"); return; }
+    settings.customEndpointUrl = url;
+    settings.customEndpointToken = document.getElementById("endpoint-token-input").value.trim();
+    saveSettings().then((res) => res?.success && setMsg("classifier-status", "✅ Endpoint saved", "green"));
+  });
+
+  document.getElementById("test-classifier").addEventListener("click", () => testClassifier("classifier-status"));
+
+  // ── Schedules ──────────────────────────────────────────────────────────────
+  document.getElementById("add-schedule").addEventListener("click", () => {
+    const profile = document.getElementById("schedule-profile").value;
+    const schedule = {
+      id: newScheduleId(),
+      name: document.getElementById("schedule-name").value.trim(),
+      enabled: true,
+      days: [...document.querySelectorAll("[name=schedule-day]:checked")].map((box) => Number(box.value)),
+      start: document.getElementById("schedule-start").value,
+      end: document.getElementById("schedule-end").value,
+      profile,
+      // A custom schedule keeps a copy of today's filters, not a link to them
+      ...(profile === "custom" ? { custom: customProfileFrom(settings) } : {}),
+    };
+    const error = scheduleError(schedule);
+    document.getElementById("schedule-error").textContent = error || "";
+    if (error) return;
+
+    settings.schedules = [...(settings.schedules || []), schedule];
+    document.getElementById("schedule-name").value = "";
+    renderSchedules();
+    saveSettings().then(broadcastSettings);
+  });
+
+  // ── Site rules ─────────────────────────────────────────────────────────────
+  const ruleMode = document.getElementById("site-rule-mode");
+  const ruleThreshold = document.getElementById("site-rule-threshold");
+  ruleMode.addEventListener("change", () => {
+    ruleThreshold.classList.toggle("hidden", ruleMode.value !== "threshold");
+  });
+
+  const ruleInput = document.getElementById("site-rule-pattern");
+  const addRule = () => {
+    const pattern = normalizePattern(ruleInput.value);
+    const threshold = Number(ruleThreshold.value);
+    let error = "";
+    if (!isValidPattern(pattern)) error = "Enter a domain like example.com, *.example.com or *";
+    else if (ruleMode.value === "threshold" && !(threshold >= 0 && threshold <= 100)) error = "Threshold must be 0–100";
+    document.getElementById("site-rule-error").textContent = error;
+    if (error) {
+      ruleInput.focus();
+      return;
+    }
+    settings.siteRules = setSiteRule(settings.siteRules, pattern, ruleMode.value, threshold / 100);
+    ruleInput.value = "";
+    saveSiteRules();
+  };
+  document.getElementById("add-site-rule").addEventListener("click", addRule);
+  ruleInput.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") addRule();
+  });
+
+  // ── History ────────────────────────────────────────────────────────────────
+  document.querySelectorAll("[data-history-days]").forEach((pill) => {
+    pill.addEventListener("click", () => {
+      historyDays = Number(pill.dataset.historyDays);
+      renderHistorySection();
+    });
+  });
+
+  document.getElementById("event-search").addEventListener("input", renderEvents);
+  ["event-category", "event-period", "event-source"].forEach((id) => {
+    document.getElementById(id).addEventListener("change", renderEvents);
+  });
+
+  document.getElementById("stats-retention-select").addEventListener("change", (e) => {
+    settings.statsRetentionDays = Number(e.target.value);
+    saveSettings();
+  });
+
+  document.getElementById("export-stats-btn").addEventListener("click", () => {
+    downloadFile(statsCsv(stats.daily), "text/csv", `safespace-stats-${new Date().toISOString().slice(0, 10)}.csv`);
+  });
+
+  document.getElementById("export-events-btn").addEventListener("click", () => {
+    downloadFile(eventsCsv(filteredEvents()), "text/csv", `safespace-detections-${new Date().toISOString().slice(0, 10)}.csv`);
+  });
+
+  document.getElementById("clear-stats-btn").addEventListener("click", async () => {
+    if (!confirm("Clear all statistics, daily history and recent detections?")) return;
+    const res = await sendMessage({ type: "CLEAR_STATS" });
+    if (res?.error === "PIN_REQUIRED") { pinBlocked(); return; }
+    stats = await sendMessage({ type: "GET_STATS" });
+    renderHeader();
+    renderHistorySection();
+  });
+
+  // ── Evidence ───────────────────────────────────────────────────────────────
+  document.getElementById("evidence-search").addEventListener("input", renderEvidenceList);
+
+  document.getElementById("evidence-select-all").addEventListener("change", (e) => {
+    visibleEvidence().filter((ev) => !ev.deleted).forEach((ev) => {
+      if (e.target.checked) selectedSeqs.add(ev.seq);
+      else selectedSeqs.delete(ev.seq);
+    });
+    renderEvidenceList();
+  });
+
+  document.getElementById("delete-evidence-btn").addEventListener("click", async (e) => {
+    const count = selectedSeqs.size;
+    if (!count) return;
+    if (!confirm(`Remove ${count} capture${count === 1 ? "" : "s"}? Their hashes stay in the chain so exports still verify.`)) return;
+    e.target.disabled = true;
+    // One at a time — each removal rewrites a record in the vault's write queue
+    for (const seq of [...selectedSeqs].sort((a, b) => a - b)) {
+      const res = await sendMessage({ type: "DELETE_EVIDENCE", payload: { seq } });
+      if (res?.error === "PIN_REQUIRED") {
+        pinBlocked();
+        renderEvidenceSection();
+        return;
+      }
+    }
+    selectedSeqs.clear();
+    renderEvidenceSection();
+  });
+
+  document.getElementById("report-evidence-btn").addEventListener("click", () => {
+    // Selected captures only; with none selected the report covers everything
+    const query = selectedSeqs.size ? `?seq=${[...selectedSeqs].sort((a, b) => a - b).join(",")}` : "";
+    chrome.tabs.create({ url: chrome.runtime.getURL(`src/report/report.html${query}`) });
+  });
+
+  document.getElementById("export-evidence-btn").addEventListener("click", async () => {
+    // Read the vault directly — with screenshots the bundle is too big for a runtime message
+    const bundle = await exportBundle();
+    if (bundle.records.length === 0) { alert("No evidence to export."); return; }
+    downloadFile(JSON.stringify(bundle, null, 2), "application/json", `safespace-evidence-${Date.now()}.json`);
+  });
+}
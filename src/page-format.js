@@ -0,0 +1,30 @@
+/**
+ * SafeSpace AI — Page Formatting
+ * Escaping and display helpers shared by the extension pages (popup, options
+ * and the incident report). Content scripts keep their own copies.
+ */
+
+/**
+ * Escape page-derived strings (captured text, author names) before they go into innerHTML.
+ */
+export function escapeHtml(str) {
+  return String(str ?? "").replace(/[&<>"']/g, (ch) => (
+    { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[ch]
+  ));
+}
+
+export function hostnameOf(url) {
+  try { return new URL(url).hostname; } catch { return url || ""; }
+}
+
+export function timeAgo(ts) {
+  const diff = Date.now() - ts;
+  if (diff < 60000)    return "just now";
+  if (diff < 3600000)  return `${Math.round(diff / 60000)}m ago`;
+  if (diff < 86400000) return `${Math.round(diff / 3600000)}h ago`;
+  return `${Math.round(diff / 86400000)}d ago`;
+}
+
+export function formatClock(ts) {
+  return new Date(ts).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+}
@@ -0,0 +1,457 @@
+/**
+ * SafeSpace AI — Shared Settings Controls
+ * What the popup and the options page do the same way: talking to the
+ * background worker, saving settings, the parent lock gate and PIN forms, the
+ * classifier test, sync, import/export and the site-rule, mute-word and
+ * muted-people lists. Each page keeps its own layout; lists take the page's
+ * row markup through connectPage().
+ */
+
+import { setSiteRule } from "./site-rules.js";
+import { buildSettingsExport, parseSettingsImport, describeChanges, mergeSettings } from "./settings-transfer.js";
+import { escapeHtml, timeAgo, formatClock } from "./page-format.js";
+import { setMsg, setToggle, downloadFile } from "./page-ui.js";
+
+// ─── Page ────────────────────────────────────────────────────────────────────
+
+let page = { settings: {}, redraw() {}, lists: {} };
+let pendingImport = null;   // Checked settings from an import file, waiting for Apply
+let lockNotice = "";        // Why the parent lock gate is asking for the PIN
+let lockTimer = null;       // Re-renders the gate when the unlock window or a lockout ends
+
+/**
+ * Hook the shared controls up to the page. Call before the first render.
+ * @param {object} hooks
+ * @param {object} hooks.settings - Accessor onto the page's settings (get and set)
+ * @param {() => void} hooks.redraw - Redraw everything that shows settings, after
+ *   they were reloaded or imported
+ * @param {object} hooks.lists - Markup for each list: `siteRules` and `muteWords`
+ *   take { empty, row(item, i) } with a [data-remove="i"] button per row;
+ *   `mutedPeople` also takes pick(offenders) and rows carry [data-offender]
+ * @param {() => void} [hooks.siteRulesChanged] - After a rule was added or removed
+ */
+export function connectPage(hooks) {
+  page = hooks;
+}
+
+export function sendMessage(msg) {
+  return chrome.runtime.sendMessage(msg);
+}
+
+// ─── Saving ──────────────────────────────────────────────────────────────────
+
+/**
+ * @returns {Promise<{ success: boolean, error?: string }>} — PIN_REQUIRED when
+ *   the parent lock refused a protected change (the page then reloads settings)
+ */
+export async function saveSettings() {
+  const res = await sendMessage({ type: "SAVE_SETTINGS", payload: page.settings });
+  if (res?.error === "PIN_REQUIRED") await pinBlocked();
+  return res;
+}
+
+export async function broadcastSettings() {
+  const tabs = await chrome.tabs.query({});
+  tabs.forEach((tab) => {
+    if (tab.id) {
+      chrome.tabs.sendMessage(tab.id, { type: "SETTINGS_UPDATED", payload: page.settings }).catch(() => {});
+    }
+  });
+}
+
+let saveTimer;
+export function debounceSave() {
+  clearTimeout(saveTimer);
+  saveTimer = setTimeout(() => saveSettings().then(broadcastSettings), 500);
+}
+
+// ─── Parent Lock Gate ────────────────────────────────────────────────────────
+
+/**
+ * While the parent lock is on, protection settings only save after the PIN has
+ * been entered here. The background keeps the unlock window and the lockout.
+ */
+export async function renderLockGate() {
+  const gate  = document.getElementById("pin-gate");
+  const input = document.getElementById("pin-gate-input");
+  const btn   = document.getElementById("pin-gate-btn");
+  const status = await sendMessage({ type: "PARENTAL_GET_STATUS" });
+
+  clearTimeout(lockTimer);
+  gate.classList.toggle("hidden", !(page.settings.parentalLock && status?.hasPIN));
+  if (gate.classList.contains("hidden")) return;
+
+  const until = status.unlockedUntil || status.lockedOutUntil;
+  if (until) lockTimer = setTimeout(renderLockGate, until - Date.now() + 500);
+
+  input.value = "";
+  input.classList.toggle("hidden", !!status.unlockedUntil);
+  btn.dataset.action = status.unlockedUntil ? "relock" : "unlock";
+  btn.textContent = status.unlockedUntil ? "Lock" : "Unlock";
+  btn.disabled = !!status.lockedOutUntil;
+  input.disabled = !!status.lockedOutUntil;
+
+  if (status.unlockedUntil) {
+    setMsg("pin-gate-msg", `🔓 Settings unlocked until ${formatClock(status.unlockedUntil)}`, "green");
+  } else if (status.lockedOutUntil) {
+    setMsg("pin-gate-msg", `⛔ Too many attempts — try again at ${formatClock(status.lockedOutUntil)}`, "red");
+  } else {
+    setMsg("pin-gate-msg", lockNotice || "🔒 Protection settings are locked", lockNotice ? "orange" : "");
+  }
+}
+
+/**
+ * The background refused a change for want of the PIN: drop the local edit and
+ * point at the gate.
+ */
+export async function pinBlocked() {
+  lockNotice = "🔒 Enter the parent PIN to change this setting";
+  page.settings = await sendMessage({ type: "GET_SETTINGS" });
+  page.redraw();
+  document.getElementById("pin-gate-input").focus();
+}
+
+// ─── Parental Controls ───────────────────────────────────────────────────────
+
+export async function renderParentalControls() {
+  const isOn = !!page.settings.parentalLock;
+  const { hasPIN } = await sendMessage({ type: "PARENTAL_GET_STATUS" });
+
+  setToggle(document.getElementById("parental-toggle"), isOn);
+  document.getElementById("parental-active-card").classList.toggle("hidden", !(isOn && hasPIN));
+  document.getElementById("parental-setup-card").classList.toggle("hidden", !(isOn && !hasPIN));
+  document.getElementById("parental-change-card").classList.add("hidden");
+
+  ["pin-a", "pin-b", "pin-old", "pin-new1", "pin-new2"].forEach((id) => {
+    document.getElementById(id).value = "";
+  });
+  setMsg("pin-setup-msg", "", "");
+  setMsg("pin-change-msg", "", "");
+  renderLockGate();
+}
+
+// ─── Classifier ──────────────────────────────────────────────────────────────
+
+export function renderProviderPicker(providers) {
+  const { settings } = page;
+  const select = document.getElementById("provider-select");
+  select.innerHTML = providers.map(({ id, label }) =>
+    `<option value="${id}" ${id === settings.provider ? "selected" : ""}>${label}</option>`
+  ).join("");
+
+  const current = providers.find((p) => p.id === settings.provider);
+  document.getElementById("provider-desc").textContent = current?.description || "Which model analyzes page text";
+  document.getElementById("api-key-card").classList.toggle("hidden", settings.provider !== "perspective");
+  document.getElementById("custom-endpoint-card").classList.toggle("hidden", settings.provider !== "custom");
+
+  document.getElementById("api-key-input").value = settings.apiKey || "";
+  document.getElementById("endpoint-url-input").value = settings.customEndpointUrl || "";
+  document.getElementById("endpoint-token-input").value = settings.customEndpointToken || "";
+  document.getElementById("qps-input").value = settings.rateLimitQps || 1;
+}
+
+/**
+ * Send a known-toxic sample through the active provider and report the outcome
+ * in the status line `statusId`.
+ */
+export async function testClassifier(statusId) {
+  const setStatus = (msg, color) => setMsg(statusId, msg, color);
+  setStatus("Testing…", "");
+  const result = await sendMessage({
+    type: "ANALYZE_TEXT",
+    payload: { texts: ["You are absolutely terrible and I hate you."] },
+  });
+  if (result?.error === "NO_API_KEY") {
+    setStatus("⚠️ No API key — save one first", "orange");
+  } else if (result?.error === "PROVIDER_NOT_CONFIGURED") {
+    setStatus("⚠️ Save an endpoint URL first", "orange");
+  } else if (result?.[0]?.offlineReason === "not_configured") {
+    setStatus("⚠️ Not configured — using the offline classifier", "orange");
+  } else if (result?.[0]?.offlineReason === "api_error") {
+    setStatus(`❌ Error: ${result[0].apiError} — offline fallback active`, "red");
+  } else if (Array.isArray(result) && result[0]?.maxScore !== undefined) {
+    setStatus(`✅ Classifier working! Score: ${Math.round(result[0].maxScore * 100)}%`, "green");
+  } else if (result?.[0]?.error) {
+    setStatus(`❌ Error: ${result[0].error}`, "red");
+  } else {
+    setStatus("❌ Connection failed", "red");
+  }
+}
+
+// ─── Lists ───────────────────────────────────────────────────────────────────
+
+function fillList(id, items, { empty, row }) {
+  const list = document.getElementById(id);
+  list.innerHTML = items.length ? items.map(row).join("") : empty;
+  return list;
+}
+
+export function renderSiteRules() {
+  const rules = [...(page.settings.siteRules || [])].sort((a, b) => a.pattern.localeCompare(b.pattern));
+  fillList("site-rule-list", rules, page.lists.siteRules).querySelectorAll("[data-remove]").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      page.settings.siteRules = setSiteRule(page.settings.siteRules, rules[btn.dataset.remove].pattern, "");
+      saveSiteRules();
+    });
+  });
+}
+
+/** Redraw after the site rules changed, then save them. */
+export function saveSiteRules() {
+  renderSiteRules();
+  page.siteRulesChanged?.();
+  saveSettings().then(broadcastSettings);
+}
+
+export function renderMuteList() {
+  const entries = page.settings.muteWords || [];
+  fillList("mute-list", entries, page.lists.muteWords).querySelectorAll("[data-remove]").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      page.settings.muteWords = entries.filter((_, i) => i !== Number(btn.dataset.remove));
+      renderMuteList();
+      saveSettings().then(broadcastSettings);
+    });
+  });
+}
+
+/** People in the offender ledger, as many and in the order the page picks. */
+export async function renderMutedPeople() {
+  const view = page.lists.mutedPeople;
+  const offenders = view.pick(await sendMessage({ type: "GET_OFFENDERS" }) || []);
+
+  fillList("muted-people-list", offenders, view).querySelectorAll("[data-offender]").forEach((btn) => {
+    btn.addEventListener("click", async () => {
+      btn.disabled = true;
+      const res = await sendMessage({
+        type: btn.dataset.muted === "true" ? "UNMUTE_AUTHOR" : "MUTE_AUTHOR",
+        payload: { key: btn.dataset.offender },
+      });
+      if (res?.error === "PIN_REQUIRED") pinBlocked();
+      renderMutedPeople();
+    });
+  });
+}
+
+// ─── Sync and Transfer ───────────────────────────────────────────────────────
+
+export async function renderSyncStatus() {
+  setToggle(document.getElementById("sync-toggle"), !!page.settings.syncSettings);
+  const { remoteUpdatedAt } = await sendMessage({ type: "SYNC_STATUS" });
+  document.getElementById("sync-desc").textContent = page.settings.syncSettings && remoteUpdatedAt
+    ? `Through your Chrome account · updated ${timeAgo(remoteUpdatedAt)}`
+    : "Through your Chrome account";
+}
+
+/** Show what an import would change, or why it can't be used. */
+function showImportPreview({ settings: incoming, errors }) {
+  const preview = document.getElementById("import-preview");
+  pendingImport = null;
+  preview.classList.add("hidden");
+
+  if (!incoming) {
+    setMsg("transfer-msg", `⚠️ ${errors[0]}`, "orange");
+    return;
+  }
+  const changes = describeChanges(page.settings, incoming);
+  if (changes.length === 0) {
+    setMsg("transfer-msg", errors.length ? `⚠️ Nothing usable to change — ${errors[0]}` : "These settings are already in use", "");
+    return;
+  }
+
+  pendingImport = incoming;
+  setMsg("transfer-msg", "", "");
+  document.getElementById("import-changes").innerHTML = changes.map(({ label, from, to }) => `
+    <div role="listitem" class="flex justify-between" style="padding:3px 0;border-bottom:1px solid #f5eef5;gap:8px">
+      <span>${escapeHtml(label)}</span>
+      <span style="color:var(--muted);flex-shrink:0">${escapeHtml(from)} → <strong style="color:var(--text)">${escapeHtml(to)}</strong></span>
+    </div>
+  `).join("");
+  document.getElementById("import-errors").textContent = errors.length ? `Skipped: ${errors.join("; ")}` : "";
+  preview.classList.remove("hidden");
+}
+
+// ─── Event Bindings ──────────────────────────────────────────────────────────
+
+/** Wire up the controls both pages have: same element ids, same behaviour. */
+export function bindSettingsControls() {
+  // ── Parent lock gate ───────────────────────────────────────────────────────
+  const gateInput = document.getElementById("pin-gate-input");
+  document.getElementById("pin-gate-btn").addEventListener("click", async (e) => {
+    if (e.currentTarget.dataset.action === "relock") {
+      await sendMessage({ type: "PARENTAL_RELOCK" });
+      renderLockGate();
+      return;
+    }
+    const pin = gateInput.value.trim();
+    if (!/^\d{4}$/.test(pin)) { setMsg("pin-gate-msg", "⚠️ Enter the 4-digit PIN", "orange"); return; }
+    const result = await sendMessage({ type: "PARENTAL_VERIFY_PIN", payload: { pin } });
+    gateInput.value = "";
+    if (result?.error === "wrong_pin") {
+      const left = result.attemptsLeft;
+      setMsg("pin-gate-msg", `❌ Wrong PIN — ${left} attempt${left !== 1 ? "s" : ""} left`, "red");
+      return;
+    }
+    if (result?.success) lockNotice = "";
+    renderLockGate();
+  });
+  gateInput.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") document.getElementById("pin-gate-btn").click();
+  });
+
+  // ── Classifier ─────────────────────────────────────────────────────────────
+  document.getElementById("qps-input").addEventListener("change", (e) => {
+    const qps = Number(e.target.value);
+    if (!(qps > 0)) { e.target.value = page.settings.rateLimitQps || 1; return; }
+    page.settings.rateLimitQps = qps;
+    saveSettings();
+  });
+
+  // ── Mute words ─────────────────────────────────────────────────────────────
+  const muteInput = document.getElementById("mute-pattern");
+  const addMute = () => {
+    const entry = window.SafeSpaceMuteList.fromInput(muteInput.value, document.getElementById("mute-action").value);
+    const error = window.SafeSpaceMuteList.validate(entry);
+    document.getElementById("mute-error").textContent = error || "";
+    if (error) {
+      muteInput.focus();
+      return;
+    }
+    page.settings.muteWords = [...(page.settings.muteWords || []).filter((e) => e.pattern !== entry.pattern), entry];
+    muteInput.value = "";
+    renderMuteList();
+    saveSettings().then(broadcastSettings);
+  };
+  document.getElementById("add-mute").addEventListener("click", addMute);
+  muteInput.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") addMute();
+  });
+
+  // ── Muted people ───────────────────────────────────────────────────────────
+  document.getElementById("auto-mute-select").addEventListener("change", (e) => {
+    page.settings.autoMuteAfter = Number(e.target.value);
+    saveSettings();
+  });
+  document.getElementById("clear-offenders-btn").addEventListener("click", async () => {
+    if (!confirm("Forget everyone in the offender list and unmute them all?")) return;
+    const res = await sendMessage({ type: "CLEAR_OFFENDERS" });
+    if (res?.error === "PIN_REQUIRED") { pinBlocked(); return; }
+    renderMutedPeople();
+  });
+
+  // ── Settings export / import ───────────────────────────────────────────────
+  document.getElementById("export-settings-btn").addEventListener("click", () => {
+    const json = JSON.stringify(buildSettingsExport(page.settings), null, 2);
+    downloadFile(json, "application/json", `safespace-settings-${new Date().toISOString().slice(0, 10)}.json`);
+  });
+
+  const importFile = document.getElementById("import-settings-file");
+  document.getElementById("import-settings-btn").addEventListener("click", () => importFile.click());
+  importFile.addEventListener("change", async () => {
+    const file = importFile.files[0];
+    importFile.value = "";
+    if (!file) return;
+    showImportPreview(parseSettingsImport(await file.text()));
+  });
+
+  document.getElementById("apply-import-btn").addEventListener("click", async () => {
+    if (!pendingImport) return;
+    page.settings = mergeSettings(page.settings, pendingImport);
+    pendingImport = null;
+    document.getElementById("import-preview").classList.add("hidden");
+    if (!(await saveSettings())?.success) return;
+    broadcastSettings();
+    page.redraw();
+    setMsg("transfer-msg", "✅ Settings imported", "green");
+  });
+  document.getElementById("cancel-import-btn").addEventListener("click", () => {
+    pendingImport = null;
+    document.getElementById("import-preview").classList.add("hidden");
+  });
+
+  // ── Settings sync ──────────────────────────────────────────────────────────
+  const syncToggle = document.getElementById("sync-toggle");
+  syncToggle.addEventListener("click", async () => {
+    if (page.settings.syncSettings) {
+      const res = await sendMessage({ type: "SYNC_DISABLE" });
+      if (res?.error === "PIN_REQUIRED") { pinBlocked(); return; }
+      page.settings.syncSettings = false;
+      renderSyncStatus();
+      return;
+    }
+
+    const { remoteUpdatedAt } = await sendMessage({ type: "SYNC_STATUS" });
+    const useRemote = !!remoteUpdatedAt && confirm(
+      `Settings synced from another device were found (updated ${timeAgo(remoteUpdatedAt)}).\n\n`
+      + "OK: use them on this device.\nCancel: replace them with this device's settings.",
+    );
+    const result = await sendMessage({ type: "SYNC_ENABLE", payload: { useRemote } });
+    if (result?.error === "PIN_REQUIRED") { pinBlocked(); return; }
+    if (!result?.success) {
+      setMsg("transfer-msg", `⚠️ Couldn't sync: ${result?.error || "unknown error"}`, "orange");
+      return;
+    }
+    page.settings = await sendMessage({ type: "GET_SETTINGS" });
+    page.redraw();
+    setMsg("transfer-msg", useRemote ? "✅ Using synced settings" : "✅ Settings synced", "green");
+  });
+  syncToggle.addEventListener("keydown", (e) => {
+    if (e.key === " " || e.key === "Enter") { e.preventDefault(); syncToggle.click(); }
+  });
+
+  // ── Parental lock toggle ───────────────────────────────────────────────────
+  const parentalToggle = document.getElementById("parental-toggle");
+  parentalToggle.addEventListener("click", async () => {
+    page.settings.parentalLock = !parentalToggle.classList.contains("on");
+    if (!(await saveSettings())?.success) return;
+    broadcastSettings();
+    renderParentalControls();
+  });
+  parentalToggle.addEventListener("keydown", (e) => {
+    if (e.key === " " || e.key === "Enter") { e.preventDefault(); parentalToggle.click(); }
+  });
+
+  // ── Set, change and remove the PIN ─────────────────────────────────────────
+  document.getElementById("save-pin-btn").addEventListener("click", async () => {
+    const a = document.getElementById("pin-a").value.trim();
+    const b = document.getElementById("pin-b").value.trim();
+    if (!/^\d{4}$/.test(a)) { setMsg("pin-setup-msg", "⚠️ PIN must be exactly 4 digits", "orange"); return; }
+    if (a !== b) { setMsg("pin-setup-msg", "⚠️ PINs don't match — try again", "orange"); return; }
+    await sendMessage({ type: "PARENTAL_SET_PIN", payload: { pin: a } });
+    setMsg("pin-setup-msg", "✅ PIN saved!", "green");
+    setTimeout(renderParentalControls, 700);
+  });
+
+  document.getElementById("change-pin-btn").addEventListener("click", () => {
+    document.getElementById("parental-active-card").classList.add("hidden");
+    document.getElementById("parental-change-card").classList.remove("hidden");
+  });
+  document.getElementById("cancel-change-btn").addEventListener("click", () => {
+    document.getElementById("parental-change-card").classList.add("hidden");
+    document.getElementById("parental-active-card").classList.remove("hidden");
+  });
+
+  document.getElementById("update-pin-btn").addEventListener("click", async () => {
+    const old = document.getElementById("pin-old").value.trim();
+    const nw1 = document.getElementById("pin-new1").value.trim();
+    const nw2 = document.getElementById("pin-new2").value.trim();
+    if (!/^\d{4}$/.test(old)) { setMsg("pin-change-msg", "⚠️ Enter your current 4-digit PIN", "orange"); return; }
+    if (!/^\d{4}$/.test(nw1)) { setMsg("pin-change-msg", "⚠️ New PIN must be 4 digits", "orange"); return; }
+    if (nw1 !== nw2)          { setMsg("pin-change-msg", "⚠️ New PINs don't match", "orange"); return; }
+    const verify = await sendMessage({ type: "PARENTAL_VERIFY_PIN", payload: { pin: old } });
+    if (verify?.error === "locked_out") { setMsg("pin-change-msg", `⛔ Too many attempts — try again at ${formatClock(verify.retryAt)}`, "red"); return; }
+    if (!verify?.success)     { setMsg("pin-change-msg", "❌ Current PIN is wrong", "red"); return; }
+    await sendMessage({ type: "PARENTAL_SET_PIN", payload: { pin: nw1 } });
+    setMsg("pin-change-msg", "✅ PIN updated!", "green");
+    setTimeout(renderParentalControls, 700);
+  });
+
+  document.getElementById("remove-pin-btn").addEventListener("click", async () => {
+    if (!confirm("Remove Parent Lock PIN and disable parental controls?")) return;
+    const res = await sendMessage({ type: "PARENTAL_CLEAR_PIN" });
+    if (res?.error === "PIN_REQUIRED") { pinBlocked(); return; }
+    page.settings.parentalLock = false;
+    await saveSettings();
+    broadcastSettings();
+    renderParentalControls();
+  });
+}
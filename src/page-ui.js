@@ -0,0 +1,41 @@
+/**
+ * SafeSpace AI — Page Controls
+ * Small DOM helpers for the switches, status lines and downloads the popup
+ * and options page have in common. Both pages use the same element classes.
+ */
+
+/**
+ * Toggle a switch element and call the callback with the new boolean value.
+ */
+export function toggleSwitch(el, callback) {
+  const newVal = !el.classList.contains("on");
+  setToggle(el, newVal);
+  callback(newVal);
+}
+
+/**
+ * Set the visual + ARIA state of a toggle switch element.
+ */
+export function setToggle(el, on) {
+  if (!el) return;
+  el.classList.toggle("on", !!on);
+  el.setAttribute("aria-checked", String(!!on));
+}
+
+/** Show a status line under a control; color is green, orange or red (default muted). */
+export function setMsg(id, msg, color) {
+  const el = document.getElementById(id);
+  if (!el) return;
+  el.textContent = msg;
+  const colors = { green: "#22a86a", orange: "#f59e0b", red: "#e05c7a" };
+  el.style.color = colors[color] || "#9a7fa0";
+}
+
+export function downloadFile(contents, type, filename) {
+  const url = URL.createObjectURL(new Blob([contents], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,103 @@
+/**
+ * SafeSpace AI — Evidence Vault Card
+ * The encryption card and hash-chain line from the popup's Evidence tab and
+ * the options page's Evidence section. The vault itself lives in the
+ * background worker (src/evidence-vault.js); this only sends it requests.
+ */
+
+import { sendMessage, pinBlocked } from "./page-settings.js";
+import { setMsg } from "./page-ui.js";
+
+const VAULT_ERRORS = {
+  weak_passphrase: "⚠️ Use at least 8 characters",
+  wrong_passphrase: "⚠️ Wrong passphrase",
+  already_encrypted: "⚠️ Evidence is already encrypted",
+  not_encrypted: "⚠️ Evidence isn't encrypted",
+};
+
+export async function renderChainStatus() {
+  const el = document.getElementById("evidence-chain-status");
+  const result = await sendMessage({ type: "VERIFY_EVIDENCE" });
+  if (!result || result.count === 0) {
+    el.textContent = "";
+    return;
+  }
+  el.textContent = result.ok
+    ? `🔗 ${result.count} capture${result.count === 1 ? "" : "s"} · hash chain intact${result.unchecked ? " (unlock to check content)" : ""}`
+    : `⚠️ Hash chain broken at capture #${result.brokenAt}: ${result.reason}`;
+  el.style.color = result.ok ? "var(--muted)" : "#dc2626";
+}
+
+export async function renderVaultCard() {
+  const { encrypted, unlocked } = await sendMessage({ type: "VAULT_STATUS" });
+  document.getElementById("vault-off").classList.toggle("hidden", encrypted);
+  document.getElementById("vault-locked").classList.toggle("hidden", !encrypted || unlocked);
+  document.getElementById("vault-unlocked").classList.toggle("hidden", !unlocked);
+  document.getElementById("vault-change").classList.add("hidden");
+  document.getElementById("vault-title").textContent =
+    !encrypted ? "🔐 Encryption" : unlocked ? "🔓 Encrypted · unlocked" : "🔒 Encrypted · locked";
+  document.querySelectorAll("#vault-card input").forEach((el) => { el.value = ""; });
+}
+
+/**
+ * Wire up the card's buttons.
+ * @param {() => void} onChange - Redraw the evidence list after a successful request
+ */
+export function bindVaultCard(onChange) {
+  /** Send a vault request, report the outcome in the card, and redraw on success. */
+  const vaultAction = async (type, payload, busyText, doneText) => {
+    setMsg("vault-msg", busyText, "");
+    const res = await sendMessage({ type, payload });
+    if (res?.error === "PIN_REQUIRED") {
+      setMsg("vault-msg", "", "");
+      pinBlocked();
+      return;
+    }
+    if (!res?.success) {
+      setMsg("vault-msg", VAULT_ERRORS[res?.error] || "⚠️ Something went wrong", "orange");
+      return;
+    }
+    setMsg("vault-msg", doneText, "green");
+    onChange();
+  };
+
+  document.getElementById("vault-enable-btn").addEventListener("click", () => {
+    const a = document.getElementById("vault-pass-a").value;
+    const b = document.getElementById("vault-pass-b").value;
+    if (a.length < 8) { setMsg("vault-msg", VAULT_ERRORS.weak_passphrase, "orange"); return; }
+    if (a !== b) { setMsg("vault-msg", "⚠️ Passphrases don't match", "orange"); return; }
+    vaultAction("VAULT_ENABLE", { passphrase: a }, "Encrypting…", "✅ Evidence encrypted");
+  });
+  document.getElementById("vault-unlock-btn").addEventListener("click", () => {
+    const passphrase = document.getElementById("vault-unlock-pass").value;
+    vaultAction("VAULT_UNLOCK", { passphrase }, "Unlocking…", "🔓 Unlocked");
+  });
+  document.getElementById("vault-unlock-pass").addEventListener("keydown", (e) => {
+    if (e.key === "Enter") document.getElementById("vault-unlock-btn").click();
+  });
+  document.getElementById("vault-lock-btn").addEventListener("click", () => {
+    vaultAction("VAULT_LOCK", {}, "", "🔒 Locked");
+  });
+  document.getElementById("vault-change-btn").addEventListener("click", () => {
+    document.getElementById("vault-unlocked").classList.add("hidden");
+    document.getElementById("vault-change").classList.remove("hidden");
+    setMsg("vault-msg", "", "");
+  });
+  document.getElementById("vault-cancel-btn").addEventListener("click", () => {
+    setMsg("vault-msg", "", "");
+    renderVaultCard();
+  });
+  document.getElementById("vault-update-btn").addEventListener("click", () => {
+    const current = document.getElementById("vault-current-pass").value;
+    const a = document.getElementById("vault-new-a").value;
+    const b = document.getElementById("vault-new-b").value;
+    if (a.length < 8) { setMsg("vault-msg", VAULT_ERRORS.weak_passphrase, "orange"); return; }
+    if (a !== b) { setMsg("vault-msg", "⚠️ New passphrases don't match", "orange"); return; }
+    vaultAction("VAULT_CHANGE_PASSPHRASE", { current, next: a }, "Re-encrypting evidence…", "✅ Passphrase changed");
+  });
+  document.getElementById("vault-disable-btn").addEventListener("click", () => {
+    const passphrase = document.getElementById("vault-current-pass").value;
+    if (!confirm("Decrypt all evidence and store it unencrypted on this computer?")) return;
+    vaultAction("VAULT_DISABLE", { passphrase }, "Decrypting…", "Encryption turned off");
+  });
+}
@@ -0,0 +1,200 @@
+/**
+ * SafeSpace AI — Parental Lock
+ * The parent PIN and every check against it. Only the background worker uses
+ * this, so all tabs and extension pages share one attempt counter.
+ *
+ * The PIN is stored as a salted PBKDF2-SHA-256 hash. A 4-digit PIN has only
+ * 10,000 values, so the hash can't stop someone who can read extension storage.
+ * What stops guessing is the lockout. After MAX_ATTEMPTS wrong PINs, checks are
+ * refused for a while, and each further lockout doubles that time. The count
+ * lives in chrome.storage.local, so reloading a page or restarting the browser
+ * doesn't reset it.
+ *
+ * A correct PIN entered in the popup or options page also opens a short unlock
+ * window, during which protected settings can be changed. A PIN typed on a web
+ * page (to reveal content) never opens it.
+ */
+
+const PIN_KEY = "safespace_parental";                // { kdf, pinHash, setAt } — before PBKDF2: { pinHash, setAt }
+const ATTEMPTS_KEY = "safespace_parental_attempts";  // { failures, lockouts, lockedUntil }
+const UNLOCK_KEY = "safespace_parental_unlocked";    // chrome.storage.session — end of the unlock window
+
+const PBKDF2_ITERATIONS = 310000;
+const MAX_ATTEMPTS = 3;
+const LOCKOUT_MS = 30_000;
+const MAX_LOCKOUT_MS = 60 * 60_000;
+const UNLOCK_MS = 5 * 60_000;
+
+// Settings that weaken protection when changed, so they need the PIN while the lock is on
+export const PROTECTED_SETTINGS = [
+  "enabled", "parentalLock", "sensitivityThreshold", "filters", "thresholds",
+  "siteRules", "schedules", "muteWords", "blurStrength", "maskMode", "provider",
+  "apiKey", "customEndpointUrl", "customEndpointToken", "rateLimitQps", "cacheEnabled",
+  "offlineFallback", "autoMuteAfter", "syncSettings",
+];
+
+// Guesses can arrive from several tabs at once — count them one at a time
+let pending = Promise.resolve();
+
+function serialize(task) {
+  const run = pending.then(task);
+  pending = run.catch(() => {});
+  return run;
+}
+
+// ─── Hashing ─────────────────────────────────────────────────────────────────
+
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer)).map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+function fromHex(hex) {
+  return Uint8Array.from(hex.match(/../g), (byte) => parseInt(byte, 16));
+}
+
+async function pbkdf2Hash(pin, salt, iterations) {
+  const base = await crypto.subtle.importKey("raw", new TextEncoder().encode(String(pin)), "PBKDF2", false, ["deriveBits"]);
+  const bits = await crypto.subtle.deriveBits({ name: "PBKDF2", salt, iterations, hash: "SHA-256" }, base, 256);
+  return toHex(bits);
+}
+
+// The original scheme: one SHA-256 with a fixed prefix. Only read, to upgrade it.
+async function legacyHash(pin) {
+  const buf = await crypto.subtle.digest("SHA-256", new TextEncoder().encode("safespace_pin_v1:" + String(pin)));
+  return toHex(buf);
+}
+
+async function pinRecord(pin) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  return {
+    kdf: { name: "PBKDF2", hash: "SHA-256", iterations: PBKDF2_ITERATIONS, salt: toHex(salt) },
+    pinHash: await pbkdf2Hash(pin, salt, PBKDF2_ITERATIONS),
+    setAt: Date.now(),
+  };
+}
+
+async function matches(record, pin) {
+  if (!record.kdf) return (await legacyHash(pin)) === record.pinHash;
+  return (await pbkdf2Hash(pin, fromHex(record.kdf.salt), record.kdf.iterations)) === record.pinHash;
+}
+
+// ─── Storage ─────────────────────────────────────────────────────────────────
+
+async function readPin() {
+  const data = await chrome.storage.local.get(PIN_KEY);
+  return data[PIN_KEY]?.pinHash ? data[PIN_KEY] : null;
+}
+
+async function readAttempts() {
+  const data = await chrome.storage.local.get(ATTEMPTS_KEY);
+  return { failures: 0, lockouts: 0, lockedUntil: 0, ...data[ATTEMPTS_KEY] };
+}
+
+async function unlockedUntil() {
+  const data = await chrome.storage.session.get(UNLOCK_KEY);
+  return data[UNLOCK_KEY] > Date.now() ? data[UNLOCK_KEY] : null;
+}
+
+// ─── PIN ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Store a new PIN. The old one is replaced, and the attempt count reset.
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+export function setPin(pin) {
+  if (!/^\d{4}$/.test(String(pin))) return Promise.resolve({ success: false, error: "invalid_pin" });
+  return serialize(async () => {
+    await chrome.storage.local.set({ [PIN_KEY]: await pinRecord(pin) });
+    await chrome.storage.local.remove(ATTEMPTS_KEY);
+    return { success: true };
+  });
+}
+
+export function clearPin() {
+  return serialize(async () => {
+    await chrome.storage.local.remove([PIN_KEY, ATTEMPTS_KEY]);
+    await chrome.storage.session.remove(UNLOCK_KEY);
+  });
+}
+
+export async function hasPin() {
+  return !!(await readPin());
+}
+
+/**
+ * Check a PIN, counting failures towards the lockout. A PIN stored with the
+ * old hash is re-stored with PBKDF2 the first time it's entered correctly.
+ * @param {{ unlock?: boolean }} options - unlock: open the settings unlock window on success
+ * @returns {Promise<{ success: boolean, error?: "no_pin_set"|"wrong_pin"|"locked_out", attemptsLeft?: number, retryAt?: number }>}
+ */
+export function verifyPin(pin, { unlock = false } = {}) {
+  return serialize(async () => {
+    const record = await readPin();
+    if (!record) return { success: false, error: "no_pin_set" };
+
+    const attempts = await readAttempts();
+    if (attempts.lockedUntil > Date.now()) return { success: false, error: "locked_out", retryAt: attempts.lockedUntil };
+
+    if (await matches(record, pin)) {
+      if (!record.kdf) await chrome.storage.local.set({ [PIN_KEY]: { ...(await pinRecord(pin)), setAt: record.setAt } });
+      await chrome.storage.local.remove(ATTEMPTS_KEY);
+      if (unlock) await chrome.storage.session.set({ [UNLOCK_KEY]: Date.now() + UNLOCK_MS });
+      return { success: true };
+    }
+
+    attempts.failures += 1;
+    if (attempts.failures < MAX_ATTEMPTS) {
+      await chrome.storage.local.set({ [ATTEMPTS_KEY]: attempts });
+      return { success: false, error: "wrong_pin", attemptsLeft: MAX_ATTEMPTS - attempts.failures };
+    }
+
+    attempts.lockouts += 1;
+    attempts.failures = 0;
+    attempts.lockedUntil = Date.now() + Math.min(LOCKOUT_MS * 2 ** (attempts.lockouts - 1), MAX_LOCKOUT_MS);
+    await chrome.storage.local.set({ [ATTEMPTS_KEY]: attempts });
+    return { success: false, error: "locked_out", retryAt: attempts.lockedUntil };
+  });
+}
+
+// ─── Unlock Window ───────────────────────────────────────────────────────────
+
+export async function relock() {
+  await chrome.storage.session.remove(UNLOCK_KEY);
+}
+
+/**
+ * @returns {Promise<{ hasPIN: boolean, lockedOutUntil: number|null, unlockedUntil: number|null }>}
+ */
+export async function lockStatus() {
+  const [record, attempts, until] = await Promise.all([readPin(), readAttempts(), unlockedUntil()]);
+  return {
+    hasPIN: !!record,
+    lockedOutUntil: attempts.lockedUntil > Date.now() ? attempts.lockedUntil : null,
+    unlockedUntil: until,
+  };
+}
+
+/** Whether changes that need the PIN are blocked right now. */
+export async function pinRequired(settings) {
+  if (!settings.parentalLock || !(await hasPin())) return false;
+  return !(await unlockedUntil());
+}
+
+// Key order doesn't matter: { a, b } and { b, a } are the same filters
+function canonical(value) {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (!value || typeof value !== "object") return value;
+  return Object.fromEntries(Object.keys(value).sort().map((key) => [key, canonical(value[key])]));
+}
+
+/** Protected settings that `incoming` would change. */
+export function protectedChanges(current, incoming) {
+  return PROTECTED_SETTINGS.filter((key) => (
+    key in incoming && JSON.stringify(canonical(incoming[key])) !== JSON.stringify(canonical(current[key]))
+  ));
+}
+
+/** `settings` minus the protected keys, for changes that can't be asked for the PIN. */
+export function withoutProtected(settings) {
+  return Object.fromEntries(Object.entries(settings).filter(([key]) => !PROTECTED_SETTINGS.includes(key)));
+}
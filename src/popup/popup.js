@@ -3,34 +3,100 @@
  * Manages all UI interactions, settings, and stats display.
  */
 
-// ─── Filter Definitions ──────────────────────────────────────────────────────
-
-const FILTER_DEFS = [
-  { key: "toxicity",         label: "General Toxicity",   icon: "", desc: "Rude, disrespectful language" },
-  { key: "severeToxicity",   label: "Severe Toxicity",    icon: "", desc: "Extremely harsh content" },
-  { key: "threat",           label: "Threats & Violence", icon: "", desc: "Threatening or violent language" },
-  { key: "insult",           label: "Insults",            icon: "", desc: "Personal attacks and put-downs" },
-  { key: "identityAttack",   label: "Hate Speech",        icon: "", desc: "Attacks on identity groups" },
-  { key: "sexuallyExplicit", label: "Explicit Content",   icon: "", desc: "Sexually explicit material" },
-];
-
-const PROFILES = {
-  gentle:   { threshold: 0.85, filters: { toxicity: false,  severeToxicity: true,  threat: true,  insult: false, identityAttack: false,  sexuallyExplicit: false } },
-  balanced: { threshold: 0.70, filters: { toxicity: false,  severeToxicity: true,  threat: true,  insult: false,  identityAttack: true,  sexuallyExplicit: true } },
-  strict:   { threshold: 0.50, filters: { toxicity: true,  severeToxicity: true,  threat: true,  insult: true,  identityAttack: true,  sexuallyExplicit: true  } },
-};
+import { FILTER_DEFS, PROFILES, CATEGORY_LABELS, MUTE_ACTION_LABELS, applyProfile, applyThreshold } from "../settings-model.js";
+import { normalizePattern, isValidPattern, findSiteRule, siteRuleValue, describeSiteRule, setSiteRule } from "../site-rules.js";
+import { activeSchedule, profileLabel, scheduleEnd } from "../schedules.js";
+import { exportBundle } from "../evidence-vault.js";
+import { escapeHtml, hostnameOf, timeAgo, formatClock } from "../page-format.js";
+import { setMsg, setToggle, toggleSwitch, downloadFile } from "../page-ui.js";
+import {
+  connectPage, sendMessage, saveSettings, broadcastSettings, debounceSave, pinBlocked, renderParentalControls,
+  renderProviderPicker, testClassifier, renderSiteRules, saveSiteRules, renderMuteList, renderMutedPeople,
+  renderSyncStatus, bindSettingsControls,
+} from "../page-settings.js";
+import { renderChainStatus, renderVaultCard, bindVaultCard } from "../page-vault.js";
+import { summarizeDays, statsCsv, DEFAULT_RETENTION_DAYS } from "../stats-history.js";
 
 // ─── State ────────────────────────────────────────────────────────────────────
 
 let settings = {};
 let stats = {};
+let providers = [];
+let activeTab = null;
+let trendDays = 7;          // Period of the Stats tab trend, top sites and busiest hours
+
+// ─── Shared Controls ──────────────────────────────────────────────────────────
+
+// Lock gate, PIN forms, sync, import and the lists come from page-settings.js;
+// the popup supplies its settings and the markup for its lists
+connectPage({
+  get settings() { return settings; },
+  set settings(next) { settings = next; },
+  redraw: renderAll,
+  lists: {
+    siteRules: {
+      empty: `<p style="font-size:11px;color:var(--muted)">No site rules yet</p>`,
+      row: (rule, i) => `
+        <div role="listitem" class="flex items-center justify-between" style="font-size:12px;padding:4px 0;border-bottom:1px solid #f5eef5">
+          <span style="font-family:monospace">${escapeHtml(rule.pattern)}</span>
+          <span class="flex items-center gap-2">
+            <span style="color:var(--muted)">${escapeHtml(describeSiteRule(rule))}</span>
+            <button class="bg-none border-none cursor-pointer" data-remove="${i}"
+                    style="color:var(--rose);font-size:14px" aria-label="Remove rule for ${escapeHtml(rule.pattern)}">×</button>
+          </span>
+        </div>
+      `,
+    },
+    muteWords: {
+      empty: `<p style="font-size:11px;color:var(--muted)">Nothing muted yet</p>`,
+      row: (entry, i) => `
+        <div role="listitem" class="flex items-center justify-between" style="font-size:12px;padding:4px 0;border-bottom:1px solid #f5eef5">
+          <span style="font-family:monospace;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;max-width:170px"
+                title="${escapeHtml(entry.pattern)}">${escapeHtml(entry.pattern)}</span>
+          <span class="flex items-center gap-2">
+            <span style="color:var(--muted)">${entry.type === "word" ? "" : `${entry.type} · `}${MUTE_ACTION_LABELS[entry.action] || entry.action}</span>
+            <button class="bg-none border-none cursor-pointer" data-remove="${i}"
+                    style="color:var(--rose);font-size:14px" aria-label="Unmute ${escapeHtml(entry.pattern)}">×</button>
+          </span>
+        </div>
+      `,
+    },
+    // Muted people first (with Undo), then repeat offenders who could be muted
+    mutedPeople: {
+      pick: (offenders) => [
+        ...offenders.filter((o) => o.muted),
+        ...offenders.filter((o) => !o.muted && o.count >= 2),
+      ].slice(0, 12),
+      empty: `<p style="font-size:11px;color:var(--muted)">No one muted yet</p>`,
+      row: (o) => `
+        <div role="listitem" class="flex items-center justify-between" style="font-size:12px;padding:4px 0;border-bottom:1px solid #f5eef5">
+          <span style="display:flex;flex-direction:column;min-width:0">
+            <span style="font-weight:500;overflow:hidden;text-overflow:ellipsis;white-space:nowrap">${escapeHtml(o.author)}</span>
+            <span style="font-size:10px;color:var(--muted)">
+              ${escapeHtml(o.domain)} · ${o.count} detection${o.count === 1 ? "" : "s"} · last ${timeAgo(o.lastSeen)}
+              ${o.muted ? ` · ${o.mutedBy === "rule" ? "auto-muted" : "muted"}` : ""}
+            </span>
+          </span>
+          <button class="btn-ghost" data-offender="${escapeHtml(o.key)}" data-muted="${o.muted}"
+                  style="font-size:11px;padding:3px 10px;flex-shrink:0"
+                  aria-label="${o.muted ? "Unmute" : "Mute"} ${escapeHtml(o.author)} on ${escapeHtml(o.domain)}">
+            ${o.muted ? "Undo" : "Mute"}
+          </button>
+        </div>
+      `,
+    },
+  },
+  siteRulesChanged: () => renderSiteCard(),
+});
 
 // ─── Init ─────────────────────────────────────────────────────────────────────
 
 document.addEventListener("DOMContentLoaded", async () => {
-  [settings, stats] = await Promise.all([
+  [settings, stats, providers, [activeTab]] = await Promise.all([
     sendMessage({ type: "GET_SETTINGS" }),
     sendMessage({ type: "GET_STATS" }),
+    sendMessage({ type: "GET_PROVIDERS" }),
+    chrome.tabs.query({ active: true, currentWindow: true }),
   ]);
 
   renderAll();
@@ -45,7 +111,7 @@ function renderAll() {
   renderStatsTab();
   renderFiltersTab();
   renderEvidenceTab();
-  renderParentsTab();
+  renderParentalControls();
 }
 
 function renderHeader() {
@@ -54,6 +120,14 @@ function renderHeader() {
   document.getElementById("toggle-text").textContent = settings.enabled ? "ON" : "OFF";
   document.getElementById("status-label").textContent = settings.enabled ? "Protection active" : "Protection paused";
 
+  // The schedule switches profiles in the background; say which one is in force
+  const schedule = settings.enabled && activeSchedule(settings.schedules);
+  const scheduleLabel = document.getElementById("schedule-label");
+  scheduleLabel.classList.toggle("hidden", !schedule);
+  if (schedule) {
+    scheduleLabel.textContent = `🕒 ${schedule.name} · ${profileLabel(schedule)} until ${formatClock(scheduleEnd(schedule))}`;
+  }
+
   document.getElementById("hdr-blocked").textContent = stats.totalBlocked || 0;
   document.getElementById("hdr-scanned").textContent = stats.totalScanned || 0;
   document.getElementById("hdr-sessions").textContent = stats.sessionsProtected || 0;
@@ -68,25 +142,121 @@ function renderProtectTab() {
   document.getElementById("threshold-display").textContent = val + "%";
 
   // Blur pills
-  document.querySelectorAll(".blur-pill").forEach((pill) => {
+  document.querySelectorAll(".blur-pill[data-blur]").forEach((pill) => {
     const active = pill.dataset.blur === (settings.blurStrength || "medium");
     pill.classList.toggle("active", active);
     pill.setAttribute("aria-pressed", String(active));
   });
+  document.querySelectorAll(".blur-pill[data-mask]").forEach((pill) => {
+    const active = pill.dataset.mask === (settings.maskMode || "block");
+    pill.classList.toggle("active", active);
+    pill.setAttribute("aria-pressed", String(active));
+  });
 
   setToggle(document.getElementById("notif-toggle"), settings.notificationsEnabled !== false);
   setToggle(document.getElementById("evidence-toggle"), !!settings.evidenceMode);
+  setToggle(document.getElementById("composer-toggle"), !!settings.composerCheck);
+  setToggle(document.getElementById("navigator-toggle"), !!settings.navigatorPanel);
+  setToggle(document.getElementById("offline-toggle"), settings.offlineFallback !== false);
+
+  renderPageCard();
+  renderSiteCard();
+  renderProviderPicker(providers);
+  if (settings.apiKey) setMsg("api-status", "✅ API key configured", "green");
+}
+
+/**
+ * Hostname of the active tab, or null for pages SafeSpace can't run on.
+ */
+function activeHost() {
+  try {
+    const url = new URL(activeTab?.url || "");
+    return /^https?:$/.test(url.protocol) ? normalizePattern(url.hostname) : null;
+  } catch { return null; }
+}
 
-  if (settings.apiKey) {
-    document.getElementById("api-key-input").value = settings.apiKey;
-    setApiStatus("✅ API key configured", "green");
+/** What's blurred on the active tab, as reported by its content script. */
+async function renderPageCard() {
+  const card = document.getElementById("page-card");
+  card.classList.toggle("hidden", !activeHost());
+  if (!activeHost()) return;
+
+  const summaryEl = document.getElementById("page-summary");
+  const list = document.getElementById("page-categories");
+  const revealBtn = document.getElementById("reveal-all-btn");
+  const rescanBtn = document.getElementById("rescan-page-btn");
+
+  const summary = await chrome.tabs.sendMessage(activeTab.id, { type: "GET_PAGE_SUMMARY" }).catch(() => null);
+  rescanBtn.disabled = !summary;
+  if (!summary) {
+    // Tabs opened before the extension was installed or updated have no content script
+    summaryEl.textContent = "SafeSpace isn't running on this page yet — reload it to scan.";
+    list.innerHTML = "";
+    revealBtn.disabled = true;
+    return;
   }
+
+  const parts = [
+    summary.blurred && `${summary.blurred} blurred`,
+    summary.hidden && `${summary.hidden} hidden`,
+    summary.revealed && `${summary.revealed} revealed`,
+  ].filter(Boolean);
+  summaryEl.textContent = parts.length ? parts.join(" · ") : "Nothing blurred on this page";
+
+  list.innerHTML = Object.entries(summary.byCategory)
+    .sort(([, a], [, b]) => b - a)
+    .map(([cat, count]) => `
+      <div role="listitem" class="flex justify-between" style="font-size:11px">
+        <span style="color:var(--text)">${escapeHtml(CATEGORY_LABELS[cat] || cat)}</span>
+        <span style="color:var(--muted)">${count}</span>
+      </div>`).join("");
+
+  revealBtn.disabled = !summary.blurred || summary.parentalLock;
+  revealBtn.title = summary.parentalLock ? "Parental lock is on — reveal items one at a time with the PIN" : "";
+}
+
+function renderSiteCard() {
+  const host = activeHost();
+  document.getElementById("site-card").classList.toggle("hidden", !host);
+  if (!host) return;
+
+  const own = (settings.siteRules || []).find((r) => r.pattern === host);
+  const matched = findSiteRule(settings.siteRules, activeTab.url);
+  const select = document.getElementById("site-mode-select");
+  const slider = document.getElementById("site-threshold-slider");
+  const display = document.getElementById("site-threshold-display");
+
+  document.getElementById("site-host").textContent = host;
+  select.value = siteRuleValue(own);
+
+  const isThreshold = own?.mode === "threshold";
+  slider.classList.toggle("hidden", !isThreshold);
+  display.classList.toggle("hidden", !isThreshold);
+  if (isThreshold) {
+    const val = Math.round(own.threshold * 100);
+    slider.value = val;
+    slider.style.setProperty("--val", val + "%");
+    slider.setAttribute("aria-valuenow", val);
+    display.textContent = val + "%";
+  }
+
+  document.getElementById("site-rule-note").textContent = !own && matched
+    ? `Inherits "${matched.pattern}" rule: ${describeSiteRule(matched)}`
+    : "Applies to this domain and its subdomains";
+}
+
+function upsertSiteRule(pattern, value, threshold) {
+  settings.siteRules = setSiteRule(settings.siteRules, pattern, value, threshold);
 }
 
 function renderStatsTab() {
   document.getElementById("stat-blocked-big").textContent = stats.totalBlocked || 0;
   document.getElementById("stat-sessions-big").textContent = stats.sessionsProtected || 0;
 
+  const offlineNote = document.getElementById("offline-note");
+  offlineNote.classList.toggle("hidden", !stats.offlineBlocked);
+  offlineNote.textContent = `📴 ${stats.offlineBlocked || 0} of these were caught by the offline classifier`;
+
   const container = document.getElementById("category-bars");
   const byCategory = stats.byCategory || {};
   const total = Object.values(byCategory).reduce((a, b) => a + b, 0);
@@ -94,10 +264,6 @@ function renderStatsTab() {
   if (total === 0) {
     container.innerHTML = `<p style="font-size:12px;color:var(--muted);text-align:center;padding:8px 0">No detections yet</p>`;
   } else {
-    const catLabels = {
-      toxicity: "Toxicity", severe_toxicity: "Severe", threat: "Threats",
-      insult: "Insults", identity_attack: "Hate Speech", sexually_explicit: "Explicit",
-    };
     container.innerHTML = Object.entries(byCategory)
       .sort(([, a], [, b]) => b - a)
       .map(([cat, count]) => {
@@ -105,18 +271,20 @@ function renderStatsTab() {
         return `
           <div role="listitem">
             <div class="flex justify-between mb-1" style="font-size:11px">
-              <span style="color:var(--text)">${catLabels[cat] || cat}</span>
+              <span style="color:var(--text)">${CATEGORY_LABELS[cat] || cat}</span>
               <span style="color:var(--muted)">${count} (${pct}%)</span>
             </div>
             <div style="height:6px;background:#f0e4f0;border-radius:3px;overflow:hidden"
                  role="progressbar" aria-valuenow="${pct}" aria-valuemin="0" aria-valuemax="100"
-                 aria-label="${catLabels[cat] || cat}: ${pct}%">
+                 aria-label="${CATEGORY_LABELS[cat] || cat}: ${pct}%">
               <div class="cat-bar-fill" style="width:${pct}%"></div>
             </div>
           </div>`;
       }).join("");
   }
 
+  renderHistory();
+
   const evContainer = document.getElementById("recent-events");
   const events = (stats.recentEvents || []).slice(0, 8);
   if (events.length === 0) {
@@ -128,6 +296,8 @@ function renderStatsTab() {
         <div style="display:flex;align-items:center;gap:6px">
           <span aria-hidden="true">${ev.score >= 90 ? "🚨" : ev.score >= 75 ? "⚠️" : "🔔"}</span>
           <span style="color:var(--text);font-weight:500">${ev.domain}</span>
+          ${ev.author ? `<span style="color:var(--muted)">${escapeHtml(ev.author)}</span>` : ""}
+          ${ev.offline ? `<span style="color:var(--muted);font-size:10px" title="Scored by the offline classifier">offline</span>` : ""}
         </div>
         <div style="display:flex;align-items:center;gap:8px">
           <span style="color:var(--rose);font-weight:600">${ev.score}%</span>
@@ -138,73 +308,264 @@ function renderStatsTab() {
   }
 }
 
+/** Trend chart, top sites and busiest hours for the selected period. */
+function renderHistory() {
+  const summary = summarizeDays(stats.daily, trendDays);
+
+  document.querySelectorAll("[data-trend-days]").forEach((pill) => {
+    const active = Number(pill.dataset.trendDays) === trendDays;
+    pill.classList.toggle("active", active);
+    pill.setAttribute("aria-pressed", String(active));
+  });
+  document.getElementById("stats-retention-select").value = String(settings.statsRetentionDays ?? DEFAULT_RETENTION_DAYS);
+
+  document.getElementById("trend-summary").textContent =
+    `${summary.blocked} blocked of ${summary.scanned} scanned${trendChange(summary.blocked, summary.previousBlocked)}`;
+  document.getElementById("trend-chart").innerHTML = barChart(
+    summary.days.map((d) => d.blocked),
+    summary.days.map((d) => `${formatDay(d.date, { weekday: "short", month: "short", day: "numeric" })}: ${d.blocked} blocked, ${d.scanned} scanned`),
+    summary.days.map((d, i) => (trendDays <= 7 || i === 0 || i === summary.days.length - 1
+      ? formatDay(d.date, trendDays <= 7 ? { weekday: "short" } : { month: "short", day: "numeric" })
+      : "")),
+  );
+
+  const domains = document.getElementById("top-domains");
+  const top = summary.topDomains;
+  if (top.length === 0) {
+    domains.innerHTML = `<p style="font-size:12px;color:var(--muted);text-align:center;padding:8px 0">No detections in this period</p>`;
+  } else {
+    domains.innerHTML = top.map(({ domain, scanned, blocked }) => {
+      const width = Math.round((blocked / top[0].blocked) * 100);
+      const rate = scanned ? ` · ${Math.round((blocked / scanned) * 100)}% of scanned` : "";
+      return `
+        <div role="listitem">
+          <div class="flex justify-between mb-1" style="font-size:11px">
+            <span style="color:var(--text)">${escapeHtml(domain)}</span>
+            <span style="color:var(--muted)">${blocked}${rate}</span>
+          </div>
+          <div style="height:6px;background:#f0e4f0;border-radius:3px;overflow:hidden">
+            <div class="cat-bar-fill" style="width:${width}%"></div>
+          </div>
+        </div>`;
+    }).join("");
+  }
+
+  const peak = summary.hours.indexOf(Math.max(...summary.hours));
+  document.getElementById("busy-hours-summary").textContent = summary.blocked
+    ? `Most detections between ${formatHour(peak)} and ${formatHour((peak + 1) % 24)}`
+    : "No detections in this period";
+  document.getElementById("busy-hours").innerHTML = barChart(
+    summary.hours,
+    summary.hours.map((count, hour) => `${formatHour(hour)}–${formatHour((hour + 1) % 24)}: ${count} blocked`),
+    summary.hours.map((_, hour) => (hour % 6 === 0 ? formatHour(hour) : "")),
+  );
+}
+
+/** ", up 20% on the 7 days before" — empty without history that far back. */
+function trendChange(blocked, previous) {
+  if (previous === null) return "";
+  const period = `the ${trendDays} days before`;
+  if (previous === 0) return blocked ? `, none ${period}` : "";
+  const pct = Math.round(((blocked - previous) / previous) * 100);
+  if (pct === 0) return `, same as ${period}`;
+  return `, ${pct > 0 ? "up" : "down"} ${Math.abs(pct)}% on ${period}`;
+}
+
+/** Small SVG bar chart; each bar gets a tooltip and an optional label below. */
+function barChart(values, titles, labels) {
+  const max = Math.max(1, ...values);
+  const bars = values.map((value, i) => {
+    const height = value ? Math.max(2, Math.round((value / max) * 56)) : 1;
+    return `<rect x="${i * 10 + 1}" y="${60 - height}" width="8" height="${height}" rx="1.5"
+                  fill="${value ? "url(#bar-fill)" : "#f0e4f0"}"><title>${escapeHtml(titles[i])}</title></rect>`;
+  }).join("");
+  return `
+    <svg viewBox="0 0 ${values.length * 10} 60" preserveAspectRatio="none" width="100%" height="60" aria-hidden="true">
+      <defs>
+        <linearGradient id="bar-fill" x1="0" y1="1" x2="0" y2="0">
+          <stop offset="0" style="stop-color:var(--lavender)" /><stop offset="1" style="stop-color:var(--rose)" />
+        </linearGradient>
+      </defs>
+      ${bars}
+    </svg>
+    <div class="flex" style="font-size:9px;color:var(--muted);margin-top:2px">
+      ${labels.map((label) => `<span style="flex:1;text-align:center;white-space:nowrap">${escapeHtml(label)}</span>`).join("")}
+    </div>`;
+}
+
+/** A YYYY-MM-DD bucket date, read as local time. */
+function formatDay(date, options) {
+  const [year, month, day] = date.split("-").map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString(undefined, options);
+}
+
+function formatHour(hour) {
+  return new Date(2000, 0, 1, hour).toLocaleTimeString(undefined, { hour: "numeric" });
+}
+
+async function renderCacheStats() {
+  const cache = await sendMessage({ type: "GET_CACHE_STATS" });
+  document.getElementById("cache-summary").textContent =
+    `${cache.entries} cached · ${cache.hits} hits · ${cache.misses} misses · ${Math.round(cache.hitRate * 100)}% hit rate`;
+}
+
 function renderFiltersTab() {
   const container = document.getElementById("filter-list");
-  container.innerHTML = FILTER_DEFS.map(({ key, label, icon, desc }) => `
-    <label class="filter-check" style="display:flex;align-items:center;gap:10px;cursor:pointer">
-      <input type="checkbox" data-filter="${key}" ${settings.filters?.[key] ? "checked" : ""}
-             aria-label="${label}: ${desc}" />
-      <span style="font-size:16px" aria-hidden="true">${icon}</span>
-      <div style="flex:1">
-        <div style="font-size:13px;font-weight:500">${label}</div>
-        <div style="font-size:11px;color:var(--muted)">${desc}</div>
-      </div>
-    </label>
-  `).join("");
+  container.innerHTML = FILTER_DEFS.map(({ key, label, icon, desc }) => {
+    const enabled = !!settings.filters?.[key];
+    const val = Math.round((settings.thresholds?.[key] ?? settings.sensitivityThreshold ?? 0.7) * 100);
+    return `
+    <div class="flex flex-col gap-1">
+      <label class="filter-check" style="display:flex;align-items:center;gap:10px;cursor:pointer">
+        <input type="checkbox" data-filter="${key}" ${enabled ? "checked" : ""}
+               aria-label="${label}: ${desc}" />
+        <span style="font-size:16px" aria-hidden="true">${icon}</span>
+        <div style="flex:1">
+          <div style="font-size:13px;font-weight:500">${label}</div>
+          <div style="font-size:11px;color:var(--muted)">${desc}</div>
+        </div>
+        <span data-threshold-display="${key}" style="font-size:12px;font-weight:600;color:var(--rose)">${val}%</span>
+      </label>
+      <input type="range" min="0" max="100" value="${val}" style="--val:${val}%"
+             data-threshold="${key}" ${enabled ? "" : "disabled"}
+             aria-label="${label} threshold" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${val}" />
+    </div>
+  `;
+  }).join("");
+
+  renderSiteRules();
+  renderMuteList();
+  renderMutedPeople();
+  renderSyncStatus();
+  document.getElementById("auto-mute-select").value = String(settings.autoMuteAfter ?? 3);
 
   container.querySelectorAll("input[type=checkbox]").forEach((cb) => {
     cb.addEventListener("change", () => {
       settings.filters[cb.dataset.filter] = cb.checked;
+      container.querySelector(`[data-threshold="${cb.dataset.filter}"]`).disabled = !cb.checked;
       saveSettings();
     });
   });
+
+  container.querySelectorAll("input[type=range]").forEach((range) => {
+    range.addEventListener("input", () => {
+      const val = range.value;
+      range.style.setProperty("--val", val + "%");
+      range.setAttribute("aria-valuenow", val);
+      container.querySelector(`[data-threshold-display="${range.dataset.threshold}"]`).textContent = val + "%";
+      settings.thresholds = { ...settings.thresholds, [range.dataset.threshold]: val / 100 };
+      debounceSave();
+    });
+  });
 }
 
 async function renderEvidenceTab() {
-  const data = await chrome.storage.local.get("safespace_evidence");
-  const evidence = data.safespace_evidence || [];
+  const evidence = await sendMessage({ type: "GET_EVIDENCE", payload: { limit: 25 } }) || [];
   const container = document.getElementById("evidence-list");
+  renderChainStatus();
+  renderVaultCard();
 
   if (evidence.length === 0) {
     container.innerHTML = `<p style="font-size:12px;color:var(--muted);text-align:center;padding:16px 0">No evidence captured yet</p>`;
     return;
   }
 
-  container.innerHTML = evidence.slice(0, 10).map((ev) => `
+  container.innerHTML = evidence.map((ev) => ev.deleted ? `
+    <div class="evidence-item evidence-item--deleted" role="listitem">
+      <p>Removed capture #${ev.seq}</p>
+      <small>Kept in the chain so the export still verifies</small>
+    </div>
+  ` : ev.locked ? `
     <div class="evidence-item" role="listitem">
-      <p>${ev.text.substring(0, 120)}${ev.text.length > 120 ? "…" : ""}</p>
-      <div style="display:flex;justify-content:space-between;margin-top:4px">
-        <small>${new URL(ev.url).hostname}</small>
-        <small><time datetime="${new Date(ev.timestamp).toISOString()}">${new Date(ev.timestamp).toLocaleDateString()}</time></small>
+      <p>🔒 Encrypted capture #${ev.seq}${ev.hasScreenshot ? " · 📷" : ""}</p>
+      <small><time datetime="${new Date(ev.capturedAt).toISOString()}">${new Date(ev.capturedAt).toLocaleDateString()}</time></small>
+    </div>
+  ` : `
+    <div class="evidence-item" role="listitem">
+      <label class="filter-check" style="display:flex;gap:8px;align-items:flex-start;cursor:pointer">
+        <input type="checkbox" data-report-seq="${ev.seq}" aria-label="Include capture ${ev.seq} in report" />
+        <p>${escapeHtml(ev.text.substring(0, 120))}${ev.text.length > 120 ? "…" : ""}</p>
+      </label>
+      <div style="display:flex;justify-content:space-between;align-items:center;margin-top:4px;gap:6px">
+        <small>#${ev.seq} · ${escapeHtml(hostnameOf(ev.url))}${ev.meta?.author ? ` · ${escapeHtml(ev.meta.author)}` : ""}${ev.hasScreenshot ? " · 📷" : ""}</small>
+        <span style="display:flex;align-items:center;gap:6px;flex-shrink:0">
+          <small><time datetime="${new Date(ev.capturedAt).toISOString()}">${new Date(ev.capturedAt).toLocaleDateString()}</time></small>
+          <button class="btn-ghost" data-evidence-seq="${ev.seq}" style="font-size:10px;padding:2px 8px"
+                  aria-label="Remove capture ${ev.seq}">Remove</button>
+        </span>
       </div>
+      ${renderEvidenceDetails(ev)}
     </div>
   `).join("");
-}
 
-async function renderParentsTab() {
-  const isOn            = !!settings.parentalLock;
-  const { hasPIN }      = await sendMessage({ type: "PARENTAL_GET_STATUS" });
+  // Snapshots render in a sandboxed frame, and only once someone opens them
+  const snapshots = new Map(evidence.map((ev) => [String(ev.seq), ev.context?.html]));
+  container.querySelectorAll("details[data-details-seq]").forEach((details) => {
+    details.addEventListener("toggle", () => {
+      const frame = details.querySelector("iframe");
+      if (details.open && frame && !frame.srcdoc) {
+        frame.srcdoc = `<meta charset="utf-8"><style>body{font:12px system-ui,sans-serif;margin:6px;color:#2d1f2e}</style>${snapshots.get(details.dataset.detailsSeq)}`;
+      }
+    });
+  });
 
-  // Toggle
-  setToggle(document.getElementById("parental-toggle"), isOn);
+  container.querySelectorAll("[data-evidence-seq]").forEach((btn) => {
+    btn.addEventListener("click", async () => {
+      if (!confirm("Remove this capture? Its hash stays in the chain so exports still verify.")) return;
+      btn.disabled = true;
+      const res = await sendMessage({ type: "DELETE_EVIDENCE", payload: { seq: Number(btn.dataset.evidenceSeq) } });
+      if (res?.error === "PIN_REQUIRED") pinBlocked();
+      renderEvidenceTab();
+    });
+  });
+}
 
-  // Show the right card
-  document.getElementById("parental-active-card").classList.toggle("hidden",  !(isOn && hasPIN));
-  document.getElementById("parental-setup-card").classList.toggle("hidden",   !(isOn && !hasPIN));
-  document.getElementById("parental-change-card").classList.add("hidden");
+/** Expandable context for one capture: who, where, the thread around it and a snapshot. */
+function renderEvidenceDetails(ev) {
+  const meta = ev.meta || {};
+  const context = ev.context || {};
+  const rows = [
+    ev.text.length > 120 && ["Full text", escapeHtml(ev.text)],
+    meta.author && ["Account", linkHtml(meta.authorUrl, meta.author)],
+    meta.permalink && ["Permalink", linkHtml(meta.permalink, meta.permalink)],
+    meta.parent && ["Replying to", `${meta.parent.author ? linkHtml(meta.parent.permalink, meta.parent.author) : "a post"}${
+      context.parentText ? `<br/><span style="color:var(--muted)">${escapeHtml(context.parentText)}</span>` : ""}`],
+    context.neighbours?.length && ["Nearby", context.neighbours.map((n) => `
+      <div style="margin-bottom:4px">
+        <span style="color:var(--muted)">${n.position === "before" ? "↑" : "↓"} ${escapeHtml(n.author || "Unknown")}</span>
+        ${escapeHtml(n.text || "")}
+      </div>
+    `).join("")],
+  ].filter(Boolean);
+
+  if (rows.length === 0 && !context.html) return "";
+  return `
+    <details data-details-seq="${ev.seq}" style="margin-top:6px">
+      <summary style="font-size:11px;color:var(--rose-dk);cursor:pointer">Evidence details</summary>
+      <dl style="font-size:11px;margin-top:6px;display:grid;grid-template-columns:72px 1fr;gap:4px 8px">
+        ${rows.map(([label, value]) => `<dt style="color:var(--muted)">${label}</dt><dd style="overflow-wrap:anywhere">${value}</dd>`).join("")}
+      </dl>
+      ${context.html ? `
+        <p style="font-size:11px;color:var(--muted);margin-top:6px">Page snapshot${context.htmlTruncated ? " (shortened — the post was too long to keep whole)" : ""}</p>
+        <iframe sandbox title="Snapshot of capture ${ev.seq}"
+                style="width:100%;height:120px;border:1px solid #f0e4f0;border-radius:6px;background:#fff"></iframe>
+      ` : ""}
+    </details>
+  `;
+}
 
-  // Clear all PIN inputs
-  ["pin-a","pin-b","pin-old","pin-new1","pin-new2"].forEach(id => {
-    const el = document.getElementById(id);
-    if (el) el.value = "";
-  });
-  setPinMsg("pin-setup-msg",  "", "");
-  setPinMsg("pin-change-msg", "", "");
+/** A link for http(s) URLs only; anything else is shown as text. */
+function linkHtml(url, label) {
+  if (!/^https?:\/\//i.test(url || "")) return escapeHtml(label);
+  return `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer" style="color:var(--rose-dk)">${escapeHtml(label)}</a>`;
 }
 
 // ─── Event Bindings ───────────────────────────────────────────────────────────
 
 function bindEvents() {
+  bindSettingsControls();
+  bindVaultCard(renderEvidenceTab);
+
   // ── Tabs ──────────────────────────────────────────────────────────────────
   document.querySelectorAll(".tab-btn").forEach((btn) => {
     btn.addEventListener("click", switchTab);
@@ -230,8 +591,9 @@ function bindEvents() {
     if (btn.dataset.tab === "evidence") renderEvidenceTab();
     if (btn.dataset.tab === "stats") {
       sendMessage({ type: "GET_STATS" }).then((s) => { stats = s; renderStatsTab(); });
+      renderCacheStats();
     }
-    if (btn.dataset.tab === "parents") renderParentsTab();
+    if (btn.dataset.tab === "parents") renderParentalControls();
   }
 
   // ── Master toggle ──────────────────────────────────────────────────────────
@@ -243,9 +605,7 @@ function bindEvents() {
 
   async function toggleMaster() {
     settings.enabled = !settings.enabled;
-    setToggle(masterToggle, settings.enabled);
-    document.getElementById("toggle-text").textContent = settings.enabled ? "ON" : "OFF";
-    document.getElementById("status-label").textContent = settings.enabled ? "Protection active" : "Protection paused";
+    renderHeader();
     await saveSettings();
     broadcastSettings();
   }
@@ -257,14 +617,58 @@ function bindEvents() {
     slider.style.setProperty("--val", val + "%");
     slider.setAttribute("aria-valuenow", val);
     document.getElementById("threshold-display").textContent = val + "%";
-    settings.sensitivityThreshold = val / 100;
+    // The main slider moves every category; fine-tune them in the Filters tab
+    settings = applyThreshold(settings, val / 100);
     debounceSave();
   });
+  slider.addEventListener("change", renderFiltersTab);
+
+  // ── This page ──────────────────────────────────────────────────────────────
+  document.getElementById("rescan-page-btn").addEventListener("click", async () => {
+    await chrome.tabs.sendMessage(activeTab.id, { type: "RESCAN_PAGE" }).catch(() => {});
+    document.getElementById("page-summary").textContent = "Rescanning…";
+    // Analysis runs in batches — give the first ones time to come back
+    setTimeout(renderPageCard, 1500);
+  });
+
+  document.getElementById("reveal-all-btn").addEventListener("click", async () => {
+    await chrome.tabs.sendMessage(activeTab.id, { type: "REVEAL_ALL" }).catch(() => {});
+    renderPageCard();
+  });
+
+  // ── This site ──────────────────────────────────────────────────────────────
+  document.getElementById("site-mode-select").addEventListener("change", (e) => {
+    upsertSiteRule(activeHost(), e.target.value, settings.sensitivityThreshold);
+    saveSiteRules();
+  });
+
+  const siteSlider = document.getElementById("site-threshold-slider");
+  siteSlider.addEventListener("input", () => {
+    const val = siteSlider.value;
+    siteSlider.style.setProperty("--val", val + "%");
+    siteSlider.setAttribute("aria-valuenow", val);
+    document.getElementById("site-threshold-display").textContent = val + "%";
+    upsertSiteRule(activeHost(), "threshold", val / 100);
+    debounceSave();
+  });
+
+  // ── Site rules (Filters tab) ───────────────────────────────────────────────
+  document.getElementById("add-site-rule").addEventListener("click", () => {
+    const input = document.getElementById("site-rule-pattern");
+    const pattern = normalizePattern(input.value);
+    if (!isValidPattern(pattern)) {
+      input.focus();
+      return;
+    }
+    upsertSiteRule(pattern, document.getElementById("site-rule-mode").value);
+    input.value = "";
+    saveSiteRules();
+  });
 
   // ── Blur pills ─────────────────────────────────────────────────────────────
-  document.querySelectorAll(".blur-pill").forEach((pill) => {
+  document.querySelectorAll(".blur-pill[data-blur]").forEach((pill) => {
     pill.addEventListener("click", () => {
-      document.querySelectorAll(".blur-pill").forEach((p) => {
+      document.querySelectorAll(".blur-pill[data-blur]").forEach((p) => {
         p.classList.remove("active");
         p.setAttribute("aria-pressed", "false");
       });
@@ -275,6 +679,21 @@ function bindEvents() {
     });
   });
 
+  // ── Mask mode pills ────────────────────────────────────────────────────────
+  document.querySelectorAll(".blur-pill[data-mask]").forEach((pill) => {
+    pill.addEventListener("click", () => {
+      document.querySelectorAll(".blur-pill[data-mask]").forEach((p) => {
+        p.classList.remove("active");
+        p.setAttribute("aria-pressed", "false");
+      });
+      pill.classList.add("active");
+      pill.setAttribute("aria-pressed", "true");
+      settings.maskMode = pill.dataset.mask;
+      saveSettings();
+      broadcastSettings();
+    });
+  });
+
   // ── Notif toggle ───────────────────────────────────────────────────────────
   const notifToggle = document.getElementById("notif-toggle");
   notifToggle.addEventListener("click", () => toggleSwitch(notifToggle, (v) => { settings.notificationsEnabled = v; saveSettings(); }));
@@ -289,190 +708,120 @@ function bindEvents() {
     if (e.key === " " || e.key === "Enter") { e.preventDefault(); toggleSwitch(evidenceToggle, (v) => { settings.evidenceMode = v; saveSettings(); broadcastSettings(); }); }
   });
 
+  // ── Composer check toggle ──────────────────────────────────────────────────
+  const composerToggle = document.getElementById("composer-toggle");
+  composerToggle.addEventListener("click", () => toggleSwitch(composerToggle, (v) => { settings.composerCheck = v; saveSettings(); broadcastSettings(); }));
+  composerToggle.addEventListener("keydown", (e) => {
+    if (e.key === " " || e.key === "Enter") { e.preventDefault(); toggleSwitch(composerToggle, (v) => { settings.composerCheck = v; saveSettings(); broadcastSettings(); }); }
+  });
+
+  const navigatorToggle = document.getElementById("navigator-toggle");
+  const setNavigator = (v) => { settings.navigatorPanel = v; saveSettings(); broadcastSettings(); };
+  navigatorToggle.addEventListener("click", () => toggleSwitch(navigatorToggle, setNavigator));
+  navigatorToggle.addEventListener("keydown", (e) => {
+    if (e.key === " " || e.key === "Enter") { e.preventDefault(); toggleSwitch(navigatorToggle, setNavigator); }
+  });
+  // Shortcuts can be changed in chrome://extensions/shortcuts — show the current ones
+  chrome.commands.getAll().then((commands) => {
+    const keys = commands.filter((c) => c.name.endsWith("-flagged") && c.shortcut).map((c) => c.shortcut);
+    if (keys.length) document.getElementById("navigator-desc").textContent = `List flagged items on each page · ${keys.join(" / ")} to jump`;
+  });
+
+  // ── Offline fallback toggle ────────────────────────────────────────────────
+  const offlineToggle = document.getElementById("offline-toggle");
+  offlineToggle.addEventListener("click", () => toggleSwitch(offlineToggle, (v) => { settings.offlineFallback = v; saveSettings(); }));
+  offlineToggle.addEventListener("keydown", (e) => {
+    if (e.key === " " || e.key === "Enter") { e.preventDefault(); toggleSwitch(offlineToggle, (v) => { settings.offlineFallback = v; saveSettings(); }); }
+  });
+
   // ── API Key ────────────────────────────────────────────────────────────────
   document.getElementById("save-api-key").addEventListener("click", () => {
     const key = document.getElementById("api-key-input").value.trim();
-    if (!key) { setApiStatus("⚠️ Please enter a key", "orange"); return; }
+    if (!key) { setMsg("api-status", "⚠️ Please enter a key", "orange"); return; }
     settings.apiKey = key;
-    saveSettings().then(() => setApiStatus("✅ Key saved successfully!", "green"));
+    saveSettings().then((res) => res?.success && setMsg("api-status", "✅ Key saved successfully!", "green"));
   });
 
-  document.getElementById("test-api-key").addEventListener("click", async () => {
-    setApiStatus("Testing…", "gray");
-    const result = await sendMessage({
-      type: "ANALYZE_TEXT",
-      payload: { texts: ["You are absolutely terrible and I hate you."] },
-    });
-    if (result?.error === "NO_API_KEY") {
-      setApiStatus("⚠️ No API key — save one first", "orange");
-    } else if (Array.isArray(result) && result[0]?.maxScore !== undefined) {
-      setApiStatus(`✅ API working! Score: 97%`, "green");
-    } else if (result?.[0]?.error) {
-      setApiStatus(`❌ Error: ${result[0].error}`, "red");
-    } else {
-      setApiStatus("❌ Connection failed", "red");
-    }
+  document.getElementById("test-api-key").addEventListener("click", () => testClassifier("api-status"));
+
+  // ── Classifier provider ────────────────────────────────────────────────────
+  document.getElementById("provider-select").addEventListener("change", (e) => {
+    settings.provider = e.target.value;
+    renderProviderPicker(providers);
+    saveSettings();
+  });
+
+  document.getElementById("save-endpoint").addEventListener("click", () => {
+    const url = document.getElementById("endpoint-url-input").value.trim();
+    if (!/^https?:\/\//i.test(url)) { setMsg("endpoint-status", "⚠️ Enter an http(s) URL", "orange"); return; }
+    settings.customEndpointUrl = url;
+    settings.customEndpointToken = document.getElementById("endpoint-token-input").value.trim();
+    saveSettings().then((res) => res?.success && setMsg("endpoint-status", "✅ Endpoint saved!", "green"));
   });
 
+  document.getElementById("test-endpoint").addEventListener("click", () => testClassifier("endpoint-status"));
+
   // ── Profile buttons ────────────────────────────────────────────────────────
   document.querySelectorAll("[data-profile]").forEach((btn) => {
     btn.addEventListener("click", () => {
-      const profile = PROFILES[btn.dataset.profile];
-      if (!profile) return;
-      settings.sensitivityThreshold = profile.threshold;
-      settings.filters = { ...profile.filters };
+      if (!PROFILES[btn.dataset.profile]) return;
+      settings = applyProfile(settings, btn.dataset.profile);
       saveSettings().then(() => { renderAll(); broadcastSettings(); });
     });
   });
 
   // ── Clear stats ────────────────────────────────────────────────────────────
   document.getElementById("clear-stats-btn").addEventListener("click", async () => {
-    await sendMessage({ type: "CLEAR_STATS" });
-    stats = { totalBlocked: 0, totalScanned: 0, sessionsProtected: 0, byCategory: {}, recentEvents: [] };
+    const res = await sendMessage({ type: "CLEAR_STATS" });
+    if (res?.error === "PIN_REQUIRED") { pinBlocked(); return; }
+    stats = { totalBlocked: 0, offlineBlocked: 0, totalScanned: 0, sessionsProtected: 0, byCategory: {}, recentEvents: [], daily: {} };
     renderHeader();
     renderStatsTab();
   });
 
-  // ── Export evidence ────────────────────────────────────────────────────────
-  document.getElementById("export-evidence-btn").addEventListener("click", async () => {
-    const data = await chrome.storage.local.get("safespace_evidence");
-    const evidence = data.safespace_evidence || [];
-    if (evidence.length === 0) { alert("No evidence to export."); return; }
-    const json = JSON.stringify(evidence, null, 2);
-    const blob = new Blob([json], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `safespace-evidence-${Date.now()}.json`;
-    a.click();
-    URL.revokeObjectURL(url);
-  });
-
-  // ── Parental lock toggle ────────────────────────────────────────────────────
-  const parentalToggle = document.getElementById("parental-toggle");
-  parentalToggle.addEventListener("click", async () => {
-    settings.parentalLock = !parentalToggle.classList.contains("on");
-    await saveSettings();
-    broadcastSettings();
-    renderParentsTab();
-  });
-  parentalToggle.addEventListener("keydown", e => {
-    if (e.key === " " || e.key === "Enter") { e.preventDefault(); parentalToggle.click(); }
+  // ── Stats history ──────────────────────────────────────────────────────────
+  document.querySelectorAll("[data-trend-days]").forEach((pill) => {
+    pill.addEventListener("click", () => {
+      trendDays = Number(pill.dataset.trendDays);
+      renderHistory();
+    });
   });
 
-  // ── Save new PIN ────────────────────────────────────────────────────────────
-  document.getElementById("save-pin-btn").addEventListener("click", async () => {
-    const a = document.getElementById("pin-a").value.trim();
-    const b = document.getElementById("pin-b").value.trim();
-    if (!/^\d{4}$/.test(a)) {
-      setPinMsg("pin-setup-msg", "⚠️ PIN must be exactly 4 digits", "orange"); return;
-    }
-    if (a !== b) {
-      setPinMsg("pin-setup-msg", "⚠️ PINs don't match — try again", "orange"); return;
-    }
-    await sendMessage({ type: "PARENTAL_SET_PIN", payload: { pin: a } });
-    setPinMsg("pin-setup-msg", "✅ PIN saved!", "green");
-    setTimeout(renderParentsTab, 700);
-  });
-
-  // ── Show change-PIN form ────────────────────────────────────────────────────
-  document.getElementById("change-pin-btn").addEventListener("click", () => {
-    document.getElementById("parental-active-card").classList.add("hidden");
-    document.getElementById("parental-change-card").classList.remove("hidden");
-  });
-  document.getElementById("cancel-change-btn").addEventListener("click", () => {
-    document.getElementById("parental-change-card").classList.add("hidden");
-    document.getElementById("parental-active-card").classList.remove("hidden");
-  });
-
-  // ── Submit changed PIN ──────────────────────────────────────────────────────
-  document.getElementById("update-pin-btn").addEventListener("click", async () => {
-    const old  = document.getElementById("pin-old").value.trim();
-    const nw1  = document.getElementById("pin-new1").value.trim();
-    const nw2  = document.getElementById("pin-new2").value.trim();
-    if (!/^\d{4}$/.test(old))  { setPinMsg("pin-change-msg", "⚠️ Enter your current 4-digit PIN", "orange"); return; }
-    if (!/^\d{4}$/.test(nw1))  { setPinMsg("pin-change-msg", "⚠️ New PIN must be 4 digits", "orange"); return; }
-    if (nw1 !== nw2)           { setPinMsg("pin-change-msg", "⚠️ New PINs don't match", "orange"); return; }
-    const verify = await sendMessage({ type: "PARENTAL_VERIFY_PIN", payload: { pin: old } });
-    if (!verify?.success)      { setPinMsg("pin-change-msg", "❌ Current PIN is wrong", "red"); return; }
-    await sendMessage({ type: "PARENTAL_SET_PIN", payload: { pin: nw1 } });
-    setPinMsg("pin-change-msg", "✅ PIN updated!", "green");
-    setTimeout(renderParentsTab, 700);
-  });
-
-  // ── Remove PIN & disable lock ───────────────────────────────────────────────
-  document.getElementById("remove-pin-btn").addEventListener("click", async () => {
-    if (!confirm("Remove Parent Lock PIN and disable parental controls?")) return;
-    await sendMessage({ type: "PARENTAL_CLEAR_PIN" });
-    settings.parentalLock = false;
-    await saveSettings();
-    broadcastSettings();
-    renderParentsTab();
+  document.getElementById("stats-retention-select").addEventListener("change", (e) => {
+    settings.statsRetentionDays = Number(e.target.value);
+    saveSettings();
   });
-}
-
-// ─── Helpers ──────────────────────────────────────────────────────────────────
-
-let saveTimer;
-function debounceSave() {
-  clearTimeout(saveTimer);
-  saveTimer = setTimeout(saveSettings, 500);
-}
 
-async function saveSettings() {
-  await sendMessage({ type: "SAVE_SETTINGS", payload: settings });
-}
-
-async function broadcastSettings() {
-  const tabs = await chrome.tabs.query({});  // all tabs
-  tabs.forEach(tab => {
-    if (tab.id) {
-      chrome.tabs.sendMessage(tab.id, { type: "SETTINGS_UPDATED", payload: settings }).catch(() => {});
-    }
+  document.getElementById("export-stats-btn").addEventListener("click", async () => {
+    stats = await sendMessage({ type: "GET_STATS" });
+    downloadFile(statsCsv(stats.daily), "text/csv", `safespace-stats-${new Date().toISOString().slice(0, 10)}.csv`);
   });
-}
 
-/**
- * Toggle a switch element and call the callback with the new boolean value.
- */
-function toggleSwitch(el, callback) {
-  const newVal = !el.classList.contains("on");
-  setToggle(el, newVal);
-  callback(newVal);
-}
-
-/**
- * Set the visual + ARIA state of a toggle switch element.
- */
-function setToggle(el, on) {
-  if (!el) return;
-  el.classList.toggle("on", on);
-  el.setAttribute("aria-checked", String(on));
-}
-
-function setApiStatus(msg, color) {
-  const el = document.getElementById("api-status");
-  el.textContent = msg;
-  const colors = { green: "#22a86a", orange: "#f59e0b", red: "#e05c7a", gray: "#9a7fa0" };
-  el.style.color = colors[color] || colors.gray;
-}
+  // ── Clear analysis cache ───────────────────────────────────────────────────
+  document.getElementById("clear-cache-btn").addEventListener("click", async () => {
+    await sendMessage({ type: "CLEAR_CACHE" });
+    renderCacheStats();
+  });
 
-function setPinMsg(id, msg, color) {
-  const el = document.getElementById(id);
-  if (!el) return;
-  el.textContent = msg;
-  const colors = { green: "#22a86a", orange: "#f59e0b", red: "#e05c7a" };
-  el.style.color = colors[color] || "#9a7fa0";
-}
+  // ── Export evidence ────────────────────────────────────────────────────────
+  document.getElementById("export-evidence-btn").addEventListener("click", async () => {
+    // Read the vault directly — with screenshots the bundle is too big for a runtime message
+    const bundle = await exportBundle();
+    if (bundle.records.length === 0) { alert("No evidence to export."); return; }
+    downloadFile(JSON.stringify(bundle, null, 2), "application/json", `safespace-evidence-${Date.now()}.json`);
+  });
 
-function sendMessage(msg) {
-  return chrome.runtime.sendMessage(msg);
-}
+  // ── Incident report ───────────────────────────────────────────────────────
+  document.getElementById("report-evidence-btn").addEventListener("click", () => {
+    // Ticked captures only; with none ticked the report covers everything
+    const seqs = [...document.querySelectorAll("[data-report-seq]:checked")].map((el) => el.dataset.reportSeq);
+    const query = seqs.length ? `?seq=${seqs.join(",")}` : "";
+    chrome.tabs.create({ url: chrome.runtime.getURL(`src/report/report.html${query}`) });
+  });
 
-function timeAgo(ts) {
-  const diff = Date.now() - ts;
-  if (diff < 60000)    return "just now";
-  if (diff < 3600000)  return `${Math.round(diff / 60000)}m ago`;
-  if (diff < 86400000) return `${Math.round(diff / 3600000)}h ago`;
-  return `${Math.round(diff / 86400000)}d ago`;
+  // ── Dashboard ─────────────────────────────────────────────────────────────
+  document.getElementById("open-dashboard-btn").addEventListener("click", () => {
+    chrome.runtime.openOptionsPage();
+    window.close();
+  });
 }
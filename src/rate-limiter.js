@@ -0,0 +1,136 @@
+/**
+ * SafeSpace AI — Request Scheduler
+ * Token-bucket rate limiter shared by every tab, so the background worker
+ * stays within the classifier's quota (Perspective free tier: 1 QPS) however
+ * many tabs are flushing at once. Jobs from the active tab jump the queue;
+ * 429 and 5xx failures are retried with exponential backoff.
+ */
+
+/**
+ * An error is worth retrying when the server is throttling us or briefly down.
+ */
+export function isRetryable(err) {
+  return err?.status === 429 || (err?.status >= 500 && err?.status < 600);
+}
+
+/**
+ * Create a scheduler.
+ * @param {Object} options
+ * @param {number} options.qps - Requests per second (bucket refill rate)
+ * @param {number} options.maxRetries - Retries per job before giving up
+ * @param {number} options.baseDelayMs - First backoff delay; doubles each retry
+ * @param {number} options.maxDelayMs - Backoff ceiling
+ */
+export function createScheduler({ qps = 1, maxRetries = 4, baseDelayMs = 1000, maxDelayMs = 30_000 } = {}) {
+  let rate = qps;
+  let tokens = Math.max(1, rate);
+  let lastRefill = Date.now();
+  let activeTabId = null;
+  let timer = null;
+  const queue = [];
+
+  const capacity = () => Math.max(1, rate);
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(capacity(), tokens + ((now - lastRefill) / 1000) * rate);
+    lastRefill = now;
+  }
+
+  function backoff(attempt, retryAfterSec) {
+    if (retryAfterSec > 0) return Math.min(maxDelayMs, retryAfterSec * 1000);
+    const exp = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+    return exp / 2 + Math.random() * (exp / 2); // jitter so tabs don't retry in lockstep
+  }
+
+  /** Index of the next runnable job — active tab (or no tab, e.g. the popup) first. */
+  function nextIndex() {
+    const now = Date.now();
+    let fallback = -1;
+    for (let i = 0; i < queue.length; i++) {
+      const job = queue[i];
+      if (job.notBefore > now) continue;
+      if (job.tabId === undefined || job.tabId === activeTabId) return i;
+      if (fallback === -1) fallback = i;
+    }
+    return fallback;
+  }
+
+  function wake() {
+    if (timer || queue.length === 0) return;
+    const now = Date.now();
+    const tokenWait = tokens >= 1 ? 0 : ((1 - tokens) / rate) * 1000;
+    const readyWait = Math.min(...queue.map((job) => job.notBefore)) - now;
+    timer = setTimeout(pump, Math.max(tokenWait, readyWait, 0));
+  }
+
+  function pump() {
+    timer = null;
+    refill();
+    while (tokens >= 1) {
+      const i = nextIndex();
+      if (i === -1) break;
+      const [job] = queue.splice(i, 1);
+      tokens -= 1;
+      run(job);
+    }
+    wake();
+  }
+
+  async function run(job) {
+    try {
+      job.resolve(await job.task());
+    } catch (err) {
+      if (!isRetryable(err)) {
+        job.reject(err);
+        return;
+      }
+      if (job.attempt >= maxRetries) {
+        err.retryable = true; // Caller should re-queue rather than drop
+        job.reject(err);
+        return;
+      }
+      // The server says we're over quota — stop spending tokens until it recovers
+      if (err.status === 429) tokens = Math.min(tokens, 0);
+      job.attempt += 1;
+      job.notBefore = Date.now() + backoff(job.attempt, err.retryAfter);
+      queue.push(job);
+      wake();
+    }
+  }
+
+  return {
+    /**
+     * Queue a request.
+     * @param {Function} task - Returns a promise; throws errors with `status` for HTTP failures
+     * @param {Object} [options] - { tabId } of the requesting tab, used for priority
+     * @returns {Promise<*>} Resolves with the task result
+     */
+    schedule(task, { tabId } = {}) {
+      return new Promise((resolve, reject) => {
+        queue.push({ task, tabId, attempt: 0, notBefore: 0, resolve, reject });
+        if (timer) {
+          clearTimeout(timer);
+          timer = null;
+        }
+        pump();
+      });
+    },
+
+    setRate(newQps) {
+      const next = Number(newQps);
+      if (next > 0 && next !== rate) {
+        refill();
+        rate = next;
+      }
+    },
+
+    setActiveTab(tabId) {
+      activeTabId = tabId;
+    },
+
+    get pending() {
+      return queue.length;
+    },
+  };
+}
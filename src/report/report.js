@@ -0,0 +1,235 @@
+/**
+ * SafeSpace AI — Incident Report
+ * Turns captures from the evidence vault into a printable report: summary,
+ * timeline and one section per incident with scores, excerpt and screenshot.
+ * Opened from the Evidence tab as report.html?seq=3,5,8 (no seq = everything).
+ * Saving to PDF is left to the browser's print dialog — nothing leaves the device.
+ */
+
+import { readableEvidence, verifyChain } from "../evidence-vault.js";
+import { CATEGORY_LABELS } from "../settings-model.js";
+import { escapeHtml, hostnameOf } from "../page-format.js";
+
+const EXCERPT_CHARS = 400;
+
+// ─── Init ─────────────────────────────────────────────────────────────────────
+
+document.addEventListener("DOMContentLoaded", async () => {
+  bindEvents();
+  const report = document.getElementById("report");
+  try {
+    const records = await readableEvidence();
+    const selected = selectedSeqs();
+    const incidents = records
+      .filter((r) => !r.deleted && (!selected || selected.has(r.seq)))
+      .sort((a, b) => incidentTime(a) - incidentTime(b));
+
+    if (incidents.some((r) => r.sealed)) {
+      report.innerHTML = `<p class="muted">Evidence is encrypted. Unlock it in the extension's Evidence tab, then reload this page.</p>`;
+      return;
+    }
+    if (incidents.length === 0) {
+      report.innerHTML = `<p class="muted">No captured evidence to report.</p>`;
+      return;
+    }
+    report.innerHTML = renderReport(incidents, await verifyChain(records));
+  } catch (err) {
+    console.error("[SafeSpace AI] Report failed:", err);
+    report.innerHTML = `<p class="verify-bad">Could not load evidence: ${escapeHtml(err.message)}</p>`;
+  }
+});
+
+function selectedSeqs() {
+  const param = new URLSearchParams(window.location.search).get("seq");
+  if (!param) return null;
+  return new Set(param.split(",").map(Number).filter(Number.isInteger));
+}
+
+function bindEvents() {
+  document.getElementById("print-btn").addEventListener("click", () => window.print());
+  document.getElementById("show-screenshots").addEventListener("change", (e) => {
+    document.body.classList.toggle("hide-screenshots", !e.target.checked);
+  });
+  document.getElementById("show-full-text").addEventListener("change", (e) => {
+    document.querySelectorAll("[data-excerpt]").forEach((el) => {
+      el.textContent = e.target.checked ? el.dataset.full : el.dataset.excerpt;
+    });
+  });
+}
+
+// ─── Render ───────────────────────────────────────────────────────────────────
+
+function renderReport(incidents, verification) {
+  return [
+    renderHeading(incidents),
+    renderSummary(incidents),
+    renderTimeline(incidents),
+    `<h2>Incidents</h2>`,
+    incidents.map(renderIncident).join(""),
+    renderIntegrity(incidents, verification),
+  ].join("");
+}
+
+function renderHeading(incidents) {
+  const first = formatDate(incidentTime(incidents[0]));
+  const last = formatDate(incidentTime(incidents[incidents.length - 1]));
+  return `
+    <h1>Online Harassment Incident Report</h1>
+    <p class="report-meta">Generated ${escapeHtml(formatDateTime(Date.now()))} by the SafeSpace browser extension</p>
+    <p class="report-meta">Period covered: ${escapeHtml(first)}${first !== last ? ` – ${escapeHtml(last)}` : ""}</p>
+  `;
+}
+
+function renderSummary(incidents) {
+  const sites = new Set(incidents.map((ev) => hostnameOf(ev.url)));
+  const authors = new Set(incidents.map((ev) => ev.meta?.author).filter(Boolean));
+
+  // Each incident counts once, under its highest-scoring category
+  const byCategory = {};
+  incidents.forEach((ev) => {
+    const [category, score] = topCategory(ev.scores);
+    const row = byCategory[category] || (byCategory[category] = { count: 0, max: 0 });
+    row.count += 1;
+    row.max = Math.max(row.max, score);
+  });
+
+  const rows = Object.entries(byCategory)
+    .sort(([, a], [, b]) => b.count - a.count)
+    .map(([category, { count, max }]) => `
+      <tr>
+        <td>${escapeHtml(categoryLabel(category))}</td>
+        <td class="num">${count}</td>
+        <td class="num">${Math.round(max * 100)}%</td>
+      </tr>
+    `).join("");
+
+  return `
+    <h2>Summary</h2>
+    <div class="summary-grid">
+      <div class="summary-card"><strong>${incidents.length}</strong><span>Incident${incidents.length === 1 ? "" : "s"}</span></div>
+      <div class="summary-card"><strong>${sites.size}</strong><span>Site${sites.size === 1 ? "" : "s"}</span></div>
+      <div class="summary-card"><strong>${authors.size || "—"}</strong><span>Account${authors.size === 1 ? "" : "s"} involved</span></div>
+    </div>
+    <table>
+      <thead><tr><th>Category</th><th class="num">Incidents</th><th class="num">Highest score</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+}
+
+function renderTimeline(incidents) {
+  const rows = incidents.map((ev, i) => {
+    const [category, score] = topCategory(ev.scores);
+    return `
+      <tr>
+        <td><a href="#incident-${ev.seq}">${i + 1}</a></td>
+        <td>${escapeHtml(formatDateTime(incidentTime(ev)))}</td>
+        <td>${escapeHtml(hostnameOf(ev.url))}</td>
+        <td>${escapeHtml(ev.meta?.author || "—")}</td>
+        <td>${escapeHtml(categoryLabel(category))}</td>
+        <td class="num">${Math.round(score * 100)}%</td>
+      </tr>
+    `;
+  }).join("");
+
+  return `
+    <h2>Timeline</h2>
+    <table>
+      <thead><tr><th>#</th><th>When</th><th>Site</th><th>Account</th><th>Category</th><th class="num">Score</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+}
+
+function renderIncident(ev, i) {
+  const text = ev.text || "";
+  const excerpt = text.length > EXCERPT_CHARS ? `${text.slice(0, EXCERPT_CHARS)}…` : text;
+  const meta = ev.meta || {};
+
+  const details = [
+    ["Posted", meta.timestamp],
+    ["Captured", formatDateTime(ev.capturedAt)],
+    ["Site", hostnameOf(ev.url)],
+    ["Page", ev.tabTitle],
+    ["URL", ev.url, true],
+    ["Account", meta.author],
+    ["Profile", meta.authorUrl, true],
+    ["Permalink", meta.permalink !== ev.url ? meta.permalink : null, true],
+    ["In reply to", meta.parent?.author],
+  ].filter(([, value]) => value)
+    .map(([label, value, isLink]) => `
+      <dt>${label}</dt>
+      <dd>${isLink && isWebUrl(value) ? `<a href="${escapeHtml(value)}">${escapeHtml(value)}</a>` : escapeHtml(value)}</dd>
+    `).join("");
+
+  const scores = Object.entries(ev.scores || {})
+    .sort(([, a], [, b]) => b - a)
+    .map(([category, score]) => {
+      const pct = Math.round(score * 100);
+      return `
+        <div class="score-row">
+          <span>${escapeHtml(categoryLabel(category))}</span>
+          <div class="score-track"><div class="score-fill" style="width:${pct}%"></div></div>
+          <span style="text-align:right">${pct}%</span>
+        </div>
+      `;
+    }).join("");
+
+  return `
+    <section class="incident" id="incident-${ev.seq}">
+      <h3>Incident ${i + 1}</h3>
+      <dl>${details}</dl>
+      <div class="excerpt" data-excerpt="${escapeHtml(excerpt)}" data-full="${escapeHtml(text)}">${escapeHtml(excerpt)}</div>
+      ${scores}
+      ${ev.screenshot ? `
+        <figure class="screenshot">
+          <img src="${escapeHtml(ev.screenshot)}" alt="Screenshot of the page when incident ${i + 1} was captured" />
+          <figcaption>Screenshot taken at capture time, with the flagged content unblurred.</figcaption>
+        </figure>
+      ` : ""}
+      <p class="hash">Capture #${ev.seq} · SHA-256 ${escapeHtml(ev.hash)}</p>
+    </section>
+  `;
+}
+
+function renderIntegrity(incidents, verification) {
+  const status = verification.ok
+    ? `<p class="verify-ok">✔ The evidence hash chain (${verification.count} records) verified when this report was generated.</p>`
+    : `<p class="verify-bad">✖ The evidence hash chain failed verification at capture #${verification.brokenAt}: ${escapeHtml(verification.reason)}.</p>`;
+  return `
+    <h2>Integrity</h2>
+    ${status}
+    <p class="muted" style="font-size:11px">
+      Each capture was stored on this device with a SHA-256 hash covering its content and the hash of the
+      capture before it. The hashes above can be checked against the JSON export from the extension's
+      Evidence tab. ${incidents.length} of ${verification.count} stored captures are included in this report.
+    </p>
+  `;
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+function incidentTime(ev) {
+  return ev.pageTimestamp || ev.capturedAt;
+}
+
+function topCategory(scores) {
+  return Object.entries(scores || {}).sort(([, a], [, b]) => b - a)[0] || ["unknown", 0];
+}
+
+function categoryLabel(category) {
+  return CATEGORY_LABELS[category] || "Harmful Content";
+}
+
+/** Only http(s) links are made clickable — page-supplied hrefs could be anything. */
+function isWebUrl(url) {
+  try { return ["http:", "https:"].includes(new URL(url).protocol); } catch { return false; }
+}
+
+function formatDate(ts) {
+  return new Date(ts).toLocaleDateString(undefined, { year: "numeric", month: "long", day: "numeric" });
+}
+
+function formatDateTime(ts) {
+  return new Date(ts).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" });
+}
@@ -0,0 +1,141 @@
+/**
+ * SafeSpace AI — Schedules
+ * Profiles that apply on set weekdays and times, stored in settings.schedules:
+ *   { id, name, enabled, days: [1, 2, 3, 4, 5] (0 = Sunday),
+ *     start: "08:00", end: "15:00", profile: "strict" | "custom",
+ *     custom?: { sensitivityThreshold, filters, thresholds } }
+ * A range that ends before it starts (22:00–06:00) runs past midnight and
+ * belongs to the day it starts on. Equal start and end means the whole day.
+ * When schedules overlap, the first one in the list wins.
+ */
+
+import { FILTER_DEFS, PROFILES, applyProfile } from "./settings-model.js";
+
+export const SCHEDULE_ALARM = "safespace-schedule";
+export const DAY_LABELS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+/** Minutes after midnight for "HH:MM", or NaN. */
+export function parseTime(value) {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(String(value));
+  return match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+}
+
+// ─── Matching ────────────────────────────────────────────────────────────────
+
+function covers(schedule, date) {
+  const start = parseTime(schedule.start);
+  const end = parseTime(schedule.end);
+  if (Number.isNaN(start) || Number.isNaN(end)) return false;
+
+  const day = date.getDay();
+  const minute = date.getHours() * 60 + date.getMinutes();
+  const days = schedule.days || [];
+  const yesterday = (day + 6) % 7;
+
+  if (start === end) return days.includes(day);
+  if (start < end) return days.includes(day) && minute >= start && minute < end;
+  return (days.includes(day) && minute >= start) || (days.includes(yesterday) && minute < end);
+}
+
+/** The schedule in force at `date`, or null. */
+export function activeSchedule(schedules, date = new Date()) {
+  return (schedules || []).find((schedule) => schedule?.enabled !== false && covers(schedule, date)) || null;
+}
+
+/**
+ * The next time any schedule starts or ends, for the alarm that switches
+ * profiles. Boundaries on days a schedule doesn't run just re-check and find
+ * nothing changed. @returns {Date|null} null when there are no schedules
+ */
+export function nextBoundary(schedules, date = new Date()) {
+  const minutes = new Set();
+  (schedules || []).filter((s) => s?.enabled !== false).forEach((s) => {
+    [s.start, s.end].map(parseTime).filter((m) => !Number.isNaN(m)).forEach((m) => minutes.add(m));
+  });
+
+  let next = null;
+  for (const offset of [0, 1]) {
+    minutes.forEach((minute) => {
+      const at = new Date(date.getFullYear(), date.getMonth(), date.getDate() + offset, 0, minute);
+      if (at > date && (!next || at < next)) next = at;
+    });
+  }
+  return next;
+}
+
+// ─── Applying ────────────────────────────────────────────────────────────────
+
+/**
+ * Layer a schedule's profile over the user's settings. The schedule is
+ * attached as `schedule` so the content script and popup can show it.
+ */
+export function applySchedule(settings, schedule) {
+  if (!schedule) return { ...settings, schedule: null };
+  if (schedule.profile !== "custom") return { ...applyProfile(settings, schedule.profile), schedule };
+
+  const custom = schedule.custom || {};
+  return {
+    ...settings,
+    sensitivityThreshold: custom.sensitivityThreshold ?? settings.sensitivityThreshold,
+    filters: { ...settings.filters, ...custom.filters },
+    thresholds: { ...settings.thresholds, ...custom.thresholds },
+    schedule,
+  };
+}
+
+/** The current filters and thresholds, saved as a schedule's custom profile. */
+export function customProfileFrom(settings) {
+  return {
+    sensitivityThreshold: settings.sensitivityThreshold,
+    filters: Object.fromEntries(FILTER_DEFS.map(({ key }) => [key, !!settings.filters?.[key]])),
+    thresholds: Object.fromEntries(FILTER_DEFS.map(({ key }) => [key, settings.thresholds?.[key] ?? settings.sensitivityThreshold])),
+  };
+}
+
+// ─── Describing ──────────────────────────────────────────────────────────────
+
+/** "Mon–Fri", "Weekends", "Mon, Wed" … */
+export function describeDays(days) {
+  const sorted = [...new Set(days || [])].sort();
+  const key = sorted.join("");
+  if (key === "0123456") return "Every day";
+  if (key === "12345") return "Mon–Fri";
+  if (key === "06") return "Weekends";
+  return sorted.map((day) => DAY_LABELS[day]).join(", ") || "No days";
+}
+
+export function profileLabel(schedule) {
+  return schedule.profile === "custom" ? "Custom" : PROFILES[schedule.profile]?.label || schedule.profile;
+}
+
+/** Short description of when a schedule runs and what it applies, for lists. */
+export function describeSchedule(schedule) {
+  const hours = schedule.start === schedule.end ? "all day" : `${schedule.start}–${schedule.end}`;
+  return `${describeDays(schedule.days)} ${hours} · ${profileLabel(schedule)}`;
+}
+
+/** When the schedule active at `date` ends, as a Date (midnight for all-day schedules). */
+export function scheduleEnd(schedule, date = new Date()) {
+  const end = parseTime(schedule.end);
+  const minute = date.getHours() * 60 + date.getMinutes();
+  const offset = schedule.start !== schedule.end && end > minute ? 0 : 1;
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + offset, 0, schedule.start === schedule.end ? 0 : end);
+}
+
+// ─── Editing ─────────────────────────────────────────────────────────────────
+
+/**
+ * Check a schedule from the editor.
+ * @returns {string|null} What's wrong with it, or null
+ */
+export function scheduleError(schedule) {
+  if (!schedule.name?.trim()) return "Give the schedule a name";
+  if (!schedule.days?.length) return "Pick at least one day";
+  if (Number.isNaN(parseTime(schedule.start)) || Number.isNaN(parseTime(schedule.end))) return "Enter start and end times";
+  if (schedule.profile !== "custom" && !PROFILES[schedule.profile]) return "Pick a profile";
+  return null;
+}
+
+export function newScheduleId() {
+  return `sch_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
@@ -0,0 +1,76 @@
+/**
+ * SafeSpace AI — Settings Model
+ * Filter categories and protection profiles shared by the background worker,
+ * the popup and the options page (all load this as an ES module).
+ */
+
+// ─── Filter Definitions ──────────────────────────────────────────────────────
+
+export const FILTER_DEFS = [
+  { key: "toxicity",         label: "General Toxicity",   icon: "", desc: "Rude, disrespectful language" },
+  { key: "severeToxicity",   label: "Severe Toxicity",    icon: "", desc: "Extremely harsh content" },
+  { key: "threat",           label: "Threats & Violence", icon: "", desc: "Threatening or violent language" },
+  { key: "insult",           label: "Insults",            icon: "", desc: "Personal attacks and put-downs" },
+  { key: "identityAttack",   label: "Hate Speech",        icon: "", desc: "Attacks on identity groups" },
+  { key: "sexuallyExplicit", label: "Explicit Content",   icon: "", desc: "Sexually explicit material" },
+];
+
+// Short names for the categories detections are recorded under (stats,
+// events, page summaries), including the on-device mute matches
+export const CATEGORY_LABELS = {
+  toxicity: "Toxicity", severe_toxicity: "Severe", threat: "Threats",
+  insult: "Insults", identity_attack: "Hate Speech", sexually_explicit: "Explicit",
+  muted_word: "Muted word", muted_author: "Muted person",
+};
+
+export const MUTE_ACTION_LABELS = { blur: "Blur", hide: "Hide", alert: "Alert only" };
+
+// ─── Profiles ────────────────────────────────────────────────────────────────
+
+// Threats and hate speech trip earlier than general rudeness in every profile
+export const PROFILES = {
+  gentle: {
+    label: "Gentle",
+    threshold: 0.85,
+    filters:    { toxicity: false, severeToxicity: true, threat: true, insult: false, identityAttack: false, sexuallyExplicit: false },
+    thresholds: { toxicity: 0.90,  severeToxicity: 0.85, threat: 0.75, insult: 0.90,  identityAttack: 0.85,  sexuallyExplicit: 0.90 },
+  },
+  balanced: {
+    label: "Balanced",
+    threshold: 0.70,
+    filters:    { toxicity: false, severeToxicity: true, threat: true, insult: false, identityAttack: true, sexuallyExplicit: true },
+    thresholds: { toxicity: 0.80,  severeToxicity: 0.70, threat: 0.60, insult: 0.75,  identityAttack: 0.65, sexuallyExplicit: 0.70 },
+  },
+  strict: {
+    label: "Strict",
+    threshold: 0.50,
+    filters:    { toxicity: true, severeToxicity: true, threat: true, insult: true, identityAttack: true, sexuallyExplicit: true },
+    thresholds: { toxicity: 0.60, severeToxicity: 0.50, threat: 0.40, insult: 0.55, identityAttack: 0.45, sexuallyExplicit: 0.50 },
+  },
+};
+
+/**
+ * Return a copy of `settings` with a profile's filters and thresholds applied.
+ * Unknown profile names leave the settings unchanged.
+ */
+export function applyProfile(settings, profileName) {
+  const profile = PROFILES[profileName];
+  if (!profile) return settings;
+  return {
+    ...settings,
+    sensitivityThreshold: profile.threshold,
+    filters: { ...profile.filters },
+    thresholds: { ...profile.thresholds },
+  };
+}
+
+/**
+ * Return a copy of `settings` with every category set to one threshold.
+ */
+export function applyThreshold(settings, threshold) {
+  return {
+    ...settings,
+    sensitivityThreshold: threshold,
+    thresholds: Object.fromEntries(FILTER_DEFS.map(({ key }) => [key, threshold])),
+  };
+}
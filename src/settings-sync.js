@@ -0,0 +1,58 @@
+/**
+ * SafeSpace AI — Settings Sync
+ * Opt-in roaming of portable settings (see settings-transfer.js) through
+ * chrome.storage.sync. Each setting is its own sync item, since one item may
+ * hold at most 8 KB and site rules or mute lists can grow large.
+ */
+
+import { PORTABLE_KEYS, portableSettings, validatePortableSettings } from "./settings-transfer.js";
+
+const ITEM_PREFIX = "safespace_sync.";
+const META_KEY = "safespace_sync_meta";        // { updatedAt, deviceId }
+const DEVICE_KEY = "safespace_device_id";      // chrome.storage.local — tells our own writes apart
+
+async function deviceId() {
+  const data = await chrome.storage.local.get(DEVICE_KEY);
+  if (data[DEVICE_KEY]) return data[DEVICE_KEY];
+  const id = crypto.randomUUID();
+  await chrome.storage.local.set({ [DEVICE_KEY]: id });
+  return id;
+}
+
+/**
+ * Upload this device's portable settings.
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+export async function pushSettings(settings) {
+  const items = Object.fromEntries(
+    Object.entries(portableSettings(settings)).map(([key, value]) => [ITEM_PREFIX + key, value]),
+  );
+  try {
+    await chrome.storage.sync.set({ ...items, [META_KEY]: { updatedAt: Date.now(), deviceId: await deviceId() } });
+    return { success: true };
+  } catch (err) {
+    // Usually the sync quota (100 KB total, 8 KB per setting)
+    console.warn("[SafeSpace AI] Settings sync failed:", err);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Synced settings, checked like an import.
+ * @returns {Promise<{ settings: Object, errors: string[], updatedAt: number } | null>} null when nothing is synced yet
+ */
+export async function pullSettings() {
+  const data = await chrome.storage.sync.get([META_KEY, ...PORTABLE_KEYS.map((key) => ITEM_PREFIX + key)]);
+  if (!data[META_KEY]) return null;
+  const raw = Object.fromEntries(PORTABLE_KEYS.filter((key) => ITEM_PREFIX + key in data).map((key) => [key, data[ITEM_PREFIX + key]]));
+  return { ...validatePortableSettings(raw), updatedAt: data[META_KEY].updatedAt };
+}
+
+/**
+ * Whether a chrome.storage.onChanged batch for the sync area came from
+ * another device (our own pushes also fire onChanged here).
+ */
+export async function isRemoteChange(changes) {
+  const meta = changes[META_KEY]?.newValue;
+  return !!meta && meta.deviceId !== (await deviceId());
+}
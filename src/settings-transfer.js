@@ -0,0 +1,265 @@
+/**
+ * SafeSpace AI — Settings Transfer
+ * Which settings can leave this device (export files and chrome.storage.sync),
+ * and how incoming settings are checked before they're applied. Shared by the
+ * background worker and the popup.
+ *
+ * Secrets (API key, endpoint token) never leave; neither do per-device
+ * switches: the master toggle, the parental lock and the sync opt-in itself.
+ * The parental PIN hash isn't part of settings at all.
+ */
+
+import { FILTER_DEFS } from "./settings-model.js";
+import { listProviders } from "./classifiers.js";
+import { normalizePattern, SITE_RULE_MODES } from "./site-rules.js";
+import { parseTime, newScheduleId } from "./schedules.js";
+
+export const SETTINGS_FORMAT = "safespace-settings";
+export const SETTINGS_EXPORT_VERSION = 1;
+
+const CATEGORY_KEYS = FILTER_DEFS.map(({ key }) => key);
+const MUTE_TYPES = ["word", "wildcard", "regex"];   // see content/mute-list.js
+const MUTE_ACTIONS = ["blur", "hide", "alert"];
+
+// ─── Field Checks ────────────────────────────────────────────────────────────
+// Each returns the cleaned value or throws a TypeError saying what's wrong.
+
+const bool = (value) => {
+  if (typeof value !== "boolean") throw new TypeError("must be true or false");
+  return value;
+};
+
+const range = (min, max) => (value) => {
+  if (typeof value !== "number" || !Number.isFinite(value) || value < min || value > max) {
+    throw new TypeError(`must be a number from ${min} to ${max}`);
+  }
+  return value;
+};
+
+const oneOf = (...options) => (value) => {
+  if (!options.includes(value)) throw new TypeError(`must be one of ${options.join(", ")}`);
+  return value;
+};
+
+const text = (maxLength) => (value) => {
+  if (typeof value !== "string" || value.length > maxLength) throw new TypeError("must be a short text value");
+  return value.trim();
+};
+
+/** A registered classifier provider id. */
+const providerId = (value) => oneOf(...listProviders().map(({ id }) => id))(value);
+
+/** An http(s) URL, or empty for none. */
+const httpUrl = (maxLength) => (value) => {
+  const url = text(maxLength)(value);
+  if (url && !/^https?:\/\//i.test(url)) throw new TypeError("must start with http:// or https://");
+  return url;
+};
+
+/** An object keyed by filter category; unknown categories are dropped. */
+const perCategory = (check) => (value) => {
+  if (!value || typeof value !== "object" || Array.isArray(value)) throw new TypeError("must be an object");
+  return Object.fromEntries(CATEGORY_KEYS.filter((key) => key in value).map((key) => [key, check(value[key])]));
+};
+
+/** A list whose invalid items are an error for the whole field. */
+const listOf = (check, maxItems) => (value) => {
+  if (!Array.isArray(value) || value.length > maxItems) throw new TypeError(`must be a list of at most ${maxItems} items`);
+  return value.map((item, i) => {
+    try {
+      return check(item);
+    } catch (err) {
+      throw new TypeError(`item ${i + 1} ${err.message}`);
+    }
+  });
+};
+
+const siteRule = (rule) => {
+  const pattern = normalizePattern(rule?.pattern);
+  if (!pattern) throw new TypeError("has no domain pattern");
+  const mode = oneOf(...SITE_RULE_MODES)(rule.mode);
+  return {
+    pattern,
+    mode,
+    ...(mode === "profile" ? { profile: oneOf("gentle", "balanced", "strict")(rule.profile) } : {}),
+    ...(mode === "threshold" ? { threshold: range(0, 1)(rule.threshold) } : {}),
+  };
+};
+
+const time = (value) => {
+  if (Number.isNaN(parseTime(value))) throw new TypeError("has a time that isn't HH:MM");
+  return value;
+};
+
+const schedule = (entry) => {
+  const name = text(40)(entry?.name);
+  if (!name) throw new TypeError("has no name");
+  const days = entry.days;
+  if (!Array.isArray(days) || days.length === 0 || !days.every((day) => Number.isInteger(day) && day >= 0 && day <= 6)) {
+    throw new TypeError("needs days from 0 (Sunday) to 6");
+  }
+  const profile = oneOf("gentle", "balanced", "strict", "custom")(entry.profile);
+  return {
+    id: typeof entry.id === "string" && entry.id ? entry.id.slice(0, 40) : newScheduleId(),
+    name,
+    enabled: entry.enabled === undefined ? true : bool(entry.enabled),
+    days: [...new Set(days)],
+    start: time(entry.start),
+    end: time(entry.end),
+    profile,
+    ...(profile === "custom" ? {
+      custom: {
+        sensitivityThreshold: range(0, 1)(entry.custom?.sensitivityThreshold),
+        filters: perCategory(bool)(entry.custom?.filters),
+        thresholds: perCategory(range(0, 1))(entry.custom?.thresholds),
+      },
+    } : {}),
+  };
+};
+
+const muteEntry = (entry) => {
+  const pattern = text(500)(entry?.pattern);
+  if (!pattern) throw new TypeError("has an empty pattern");
+  return { pattern, type: oneOf(...MUTE_TYPES)(entry.type), action: oneOf(...MUTE_ACTIONS)(entry.action) };
+};
+
+// Everything that can be exported or synced, with its check and preview label
+const PORTABLE_FIELDS = {
+  sensitivityThreshold: { label: "Sensitivity", check: range(0, 1) },
+  provider:             { label: "Classifier", check: providerId },
+  customEndpointUrl:    { label: "Endpoint URL", check: httpUrl(2000) },
+  offlineFallback:      { label: "Offline fallback", check: bool },
+  cacheEnabled:         { label: "Analysis cache", check: bool },
+  cacheTtlHours:        { label: "Cache lifetime (hours)", check: range(1, 24 * 30) },
+  cacheMaxEntries:      { label: "Cache size", check: range(100, 50000) },
+  rateLimitQps:         { label: "Requests per second", check: range(0.1, 50) },
+  filters:              { label: "Filters", check: perCategory(bool) },
+  thresholds:           { label: "Thresholds", check: perCategory(range(0, 1)) },
+  evidenceMode:         { label: "Evidence mode", check: bool },
+  notificationsEnabled: { label: "Notifications", check: bool },
+  blurStrength:         { label: "Blur strength", check: oneOf("light", "medium", "heavy") },
+  maskMode:             { label: "Masking", check: oneOf("block", "precise") },
+  siteRules:            { label: "Site rules", check: listOf(siteRule, 200) },
+  schedules:            { label: "Schedules", check: listOf(schedule, 20) },
+  muteWords:            { label: "Mute words", check: listOf(muteEntry, 500) },
+  composerCheck:        { label: "Pause before you post", check: bool },
+  navigatorPanel:       { label: "On-page navigator", check: bool },
+  autoMuteAfter:        { label: "Auto-mute after", check: range(0, 100) },
+  statsRetentionDays:   { label: "Stats history (days)", check: oneOf(30, 90, 180, 365) },
+};
+
+export const PORTABLE_KEYS = Object.keys(PORTABLE_FIELDS);
+
+// ─── Export ──────────────────────────────────────────────────────────────────
+
+/** Only the settings that may leave this device. */
+export function portableSettings(settings) {
+  return Object.fromEntries(PORTABLE_KEYS.filter((key) => settings[key] !== undefined).map((key) => [key, settings[key]]));
+}
+
+export function buildSettingsExport(settings) {
+  return {
+    format: SETTINGS_FORMAT,
+    version: SETTINGS_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings: portableSettings(settings),
+  };
+}
+
+// ─── Import ──────────────────────────────────────────────────────────────────
+
+/**
+ * Check portable settings field by field. Invalid fields are left out and
+ * reported; fields that aren't portable (secrets, device switches) are ignored.
+ * @returns {{ settings: Object, errors: string[] }}
+ */
+export function validatePortableSettings(incoming) {
+  const settings = {};
+  const errors = [];
+  PORTABLE_KEYS.forEach((key) => {
+    if (incoming?.[key] === undefined) return;
+    try {
+      settings[key] = PORTABLE_FIELDS[key].check(incoming[key]);
+    } catch (err) {
+      errors.push(`${PORTABLE_FIELDS[key].label}: ${err.message}`);
+    }
+  });
+  return { settings, errors };
+}
+
+/**
+ * Parse and check an exported settings file.
+ * @param {string} json - File contents
+ * @returns {{ settings: Object|null, errors: string[] }} settings is null when the file can't be used at all
+ */
+export function parseSettingsImport(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch {
+    return { settings: null, errors: ["This file isn't valid JSON."] };
+  }
+  if (data?.format !== SETTINGS_FORMAT || !data.settings) {
+    return { settings: null, errors: ["This isn't a SafeSpace settings file."] };
+  }
+  if (!Number.isInteger(data.version) || data.version > SETTINGS_EXPORT_VERSION) {
+    return { settings: null, errors: ["This file was made by a newer version of SafeSpace."] };
+  }
+
+  const result = validatePortableSettings(data.settings);
+  if (Object.keys(result.settings).length === 0 && result.errors.length === 0) {
+    return { settings: null, errors: ["This file doesn't contain any settings."] };
+  }
+  return result;
+}
+
+/**
+ * Apply checked settings over the current ones. Filters and thresholds merge
+ * per category, so a file that only mentions some categories leaves the rest alone.
+ */
+export function mergeSettings(current, incoming) {
+  return {
+    ...current,
+    ...incoming,
+    filters: { ...current.filters, ...incoming.filters },
+    thresholds: { ...current.thresholds, ...incoming.thresholds },
+  };
+}
+
+// ─── Preview ─────────────────────────────────────────────────────────────────
+
+function formatValue(key, value) {
+  if (value === undefined || value === null || value === "") return "—";
+  if (typeof value === "boolean") return value ? "On" : "Off";
+  if (key === "sensitivityThreshold") return `${Math.round(value * 100)}%`;
+  if (key === "siteRules") return `${value.length} rule${value.length === 1 ? "" : "s"}`;
+  if (key === "schedules") return `${value.length} schedule${value.length === 1 ? "" : "s"}`;
+  if (key === "muteWords") return `${value.length} entr${value.length === 1 ? "y" : "ies"}`;
+  return String(value);
+}
+
+/**
+ * What applying `incoming` over `current` would change, for a preview.
+ * @returns {{ label: string, from: string, to: string }[]}
+ */
+export function describeChanges(current, incoming) {
+  const changes = [];
+  Object.entries(incoming).forEach(([key, value]) => {
+    const { label } = PORTABLE_FIELDS[key];
+
+    if (key === "filters" || key === "thresholds") {
+      FILTER_DEFS.forEach((def) => {
+        if (value[def.key] === undefined || value[def.key] === current[key]?.[def.key]) return;
+        const show = key === "filters"
+          ? (v) => formatValue(key, v)
+          : (v) => (typeof v === "number" ? `${Math.round(v * 100)}%` : "—");
+        changes.push({ label: `${def.label} ${key === "filters" ? "filter" : "threshold"}`, from: show(current[key]?.[def.key]), to: show(value[def.key]) });
+      });
+      return;
+    }
+
+    if (JSON.stringify(value) === JSON.stringify(current[key])) return;
+    changes.push({ label, from: formatValue(key, current[key]), to: formatValue(key, value) });
+  });
+  return changes;
+}
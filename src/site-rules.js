@@ -0,0 +1,102 @@
+/**
+ * SafeSpace AI — Site Rules
+ * Per-domain overrides stored in settings.siteRules. A rule looks like
+ *   { pattern: "reddit.com", mode: "disabled" | "profile" | "threshold",
+ *     profile?: "strict", threshold?: 0.6 }
+ * Patterns: "example.com" matches the domain and its subdomains,
+ * "*.example.com" only subdomains, "*" every site.
+ */
+
+import { PROFILES, applyProfile, applyThreshold } from "./settings-model.js";
+
+export const SITE_RULE_MODES = ["disabled", "profile", "threshold"];
+
+/**
+ * Canonical form of a user-entered pattern: lower case, no scheme, path or "www.".
+ */
+export function normalizePattern(input) {
+  return String(input || "")
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, "")
+    .replace(/[/?#].*$/, "")
+    .replace(/:\d+$/, "")
+    .replace(/^www\./, "");
+}
+
+/** Whether a normalized pattern is "*", a domain, or "*." and a domain. */
+export function isValidPattern(pattern) {
+  return /^(\*|(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*)$/.test(pattern);
+}
+
+export function matchesPattern(hostname, pattern) {
+  const host = hostname.toLowerCase().replace(/^www\./, "");
+  if (pattern === "*") return true;
+  if (pattern.startsWith("*.")) return host.endsWith(pattern.slice(1));
+  return host === pattern || host.endsWith(`.${pattern}`);
+}
+
+/**
+ * Find the most specific rule for a URL — the longest matching pattern wins,
+ * so "news.example.com" beats "example.com" beats "*".
+ */
+export function findSiteRule(rules, url) {
+  let hostname;
+  try { hostname = new URL(url).hostname; } catch { return null; }
+  if (!hostname) return null;
+
+  return (rules || [])
+    .filter((rule) => rule?.pattern && matchesPattern(hostname, rule.pattern))
+    .sort((a, b) => b.pattern.replace("*", "").length - a.pattern.replace("*", "").length)[0] || null;
+}
+
+/**
+ * Layer a site rule over the user's settings. The matched rule is attached
+ * as `siteRule` so the content script and popup can show it.
+ */
+export function applySiteRule(settings, rule) {
+  if (!rule) return { ...settings, siteRule: null };
+
+  switch (rule.mode) {
+    case "disabled":
+      return { ...settings, enabled: false, siteRule: rule };
+    case "profile":
+      return { ...applyProfile(settings, rule.profile), siteRule: rule };
+    case "threshold":
+      return { ...applyThreshold(settings, Number(rule.threshold) || settings.sensitivityThreshold), siteRule: rule };
+    default:
+      return { ...settings, siteRule: null };
+  }
+}
+
+// ─── Editing ─────────────────────────────────────────────────────────────────
+// Rule pickers use one select value per rule: "disabled", "threshold" or "profile:<name>".
+
+/** The picker value for a rule ("" for none). */
+export function siteRuleValue(rule) {
+  if (!rule) return "";
+  return rule.mode === "profile" ? `profile:${rule.profile}` : rule.mode;
+}
+
+/** Short description of what a rule does, for lists. */
+export function describeSiteRule(rule) {
+  if (rule.mode === "disabled") return "Off";
+  if (rule.mode === "profile") return PROFILES[rule.profile]?.label || rule.profile;
+  return `${Math.round(rule.threshold * 100)}% threshold`;
+}
+
+/**
+ * Return `rules` with the rule for `pattern` replaced; an empty `value` removes it.
+ * `threshold` is used for the "threshold" mode.
+ */
+export function setSiteRule(rules, pattern, value, threshold) {
+  const next = (rules || []).filter((r) => r.pattern !== pattern);
+  if (value) {
+    const [mode, profile] = value.split(":");
+    const rule = { pattern, mode };
+    if (mode === "profile") rule.profile = profile;
+    if (mode === "threshold") rule.threshold = threshold;
+    next.push(rule);
+  }
+  return next;
+}
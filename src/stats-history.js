@@ -0,0 +1,159 @@
+/**
+ * SafeSpace AI — Stats History
+ * Daily buckets of scanned and blocked counts, kept in `safespace_stats.daily`
+ * and keyed by local date. Each bucket breaks blocked counts down by category
+ * and hour, and both counts down by domain; no text is ever stored. Shared by
+ * the background worker (which records) and the popup and options page (which
+ * summarize).
+ *
+ *   daily["2026-10-18"] = {
+ *     scanned, blocked,
+ *     categories: { threat: 2, ... },
+ *     domains: { "x.com": { scanned, blocked }, ... },
+ *     hours: [24 blocked counts, local time],
+ *   }
+ */
+
+export const DEFAULT_RETENTION_DAYS = 90;
+
+// Past this many domains a day, the rest are counted together
+const MAX_DOMAINS_PER_DAY = 100;
+export const OTHER_DOMAINS = "(other)";
+
+// ─── Recording ───────────────────────────────────────────────────────────────
+
+/** Local calendar date as YYYY-MM-DD. */
+export function dayKey(ts) {
+  const d = new Date(ts);
+  return [d.getFullYear(), d.getMonth() + 1, d.getDate()].map((n) => String(n).padStart(2, "0")).join("-");
+}
+
+/**
+ * The key of the calendar day `n` days before `ts`. Steps by date rather than
+ * by 24 hours, so days around a DST change are neither skipped nor repeated.
+ */
+function daysBefore(ts, n) {
+  const d = new Date(ts);
+  return dayKey(new Date(d.getFullYear(), d.getMonth(), d.getDate() - n));
+}
+
+function emptyDay() {
+  return { scanned: 0, blocked: 0, categories: {}, domains: {}, hours: new Array(24).fill(0) };
+}
+
+function domainRow(day, domain) {
+  let key = domain || "unknown";
+  if (!day.domains[key] && Object.keys(day.domains).length >= MAX_DOMAINS_PER_DAY) key = OTHER_DOMAINS;
+  return day.domains[key] || (day.domains[key] = { scanned: 0, blocked: 0 });
+}
+
+/**
+ * Count scanned items and/or one detection into the bucket for `ts`.
+ * Mutates `daily`.
+ */
+export function recordDay(daily, { ts = Date.now(), domain, scanned = 0, category = null }) {
+  const key = dayKey(ts);
+  const day = daily[key] || (daily[key] = emptyDay());
+  const row = domainRow(day, domain);
+
+  day.scanned += scanned;
+  row.scanned += scanned;
+  if (!category) return;
+
+  day.blocked += 1;
+  row.blocked += 1;
+  day.categories[category] = (day.categories[category] || 0) + 1;
+  day.hours[new Date(ts).getHours()] += 1;
+}
+
+/** Drop buckets older than `retentionDays`. Mutates `daily`. */
+export function pruneDays(daily, retentionDays, now = Date.now()) {
+  const oldest = daysBefore(now, retentionDays - 1);
+  Object.keys(daily).forEach((key) => {
+    if (key < oldest) delete daily[key];
+  });
+}
+
+// ─── Summaries ───────────────────────────────────────────────────────────────
+
+/** `days` dates, oldest first, ending `skip` days before today. */
+function recentDays(days, now, skip = 0) {
+  return Array.from({ length: days }, (_, i) => daysBefore(now, skip + days - 1 - i));
+}
+
+/**
+ * Totals over the last `days` days.
+ * @returns {{
+ *   days: { date: string, scanned: number, blocked: number }[],
+ *   scanned: number, blocked: number,
+ *   previousBlocked: number|null,
+ *   topDomains: { domain: string, scanned: number, blocked: number }[],
+ *   hours: number[],
+ * }} previousBlocked covers the `days` before, or null without history that far back
+ */
+export function summarizeDays(daily = {}, days, now = Date.now()) {
+  const dates = recentDays(days, now);
+  const domains = {};
+  const hours = new Array(24).fill(0);
+
+  const series = dates.map((date) => {
+    const day = daily[date];
+    if (!day) return { date, scanned: 0, blocked: 0 };
+    Object.entries(day.domains).forEach(([domain, { scanned, blocked }]) => {
+      const row = domains[domain] || (domains[domain] = { domain, scanned: 0, blocked: 0 });
+      row.scanned += scanned;
+      row.blocked += blocked;
+    });
+    day.hours.forEach((count, hour) => { hours[hour] += count; });
+    return { date, scanned: day.scanned, blocked: day.blocked };
+  });
+
+  const before = recentDays(days, now, days);
+  const hasPrevious = Object.keys(daily).some((key) => key <= before[before.length - 1]);
+
+  return {
+    days: series,
+    scanned: series.reduce((sum, d) => sum + d.scanned, 0),
+    blocked: series.reduce((sum, d) => sum + d.blocked, 0),
+    previousBlocked: hasPrevious ? before.reduce((sum, date) => sum + (daily[date]?.blocked || 0), 0) : null,
+    topDomains: Object.values(domains)
+      .filter((row) => row.blocked > 0)
+      .sort((a, b) => b.blocked - a.blocked || b.scanned - a.scanned)
+      .slice(0, 5),
+    hours,
+  };
+}
+
+// ─── CSV ─────────────────────────────────────────────────────────────────────
+
+function csvCell(value) {
+  const text = String(value ?? "");
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Every bucket as CSV, one row per date and breakdown: the day's totals, then
+ * each category, domain and hour. Category and hour rows have no scanned count.
+ */
+export function statsCsv(daily = {}) {
+  const rows = [["date", "breakdown", "name", "scanned", "blocked"]];
+  Object.keys(daily).sort().forEach((date) => {
+    const day = daily[date];
+    rows.push([date, "total", "", day.scanned, day.blocked]);
+    Object.entries(day.categories).forEach(([category, count]) => rows.push([date, "category", category, "", count]));
+    Object.entries(day.domains).forEach(([domain, row]) => rows.push([date, "domain", domain, row.scanned, row.blocked]));
+    day.hours.forEach((count, hour) => {
+      if (count) rows.push([date, "hour", String(hour).padStart(2, "0"), "", count]);
+    });
+  });
+  return rows.map((row) => row.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+/** Detection events (stats.recentEvents) as CSV, one row per event. */
+export function eventsCsv(events = []) {
+  const rows = [["time", "category", "score", "domain", "author", "offline"]];
+  events.forEach((ev) => {
+    rows.push([new Date(ev.timestamp).toISOString(), ev.category, ev.score, ev.domain, ev.author, ev.offline ? "yes" : "no"]);
+  });
+  return rows.map((row) => row.map(csvCell).join(",")).join("\n") + "\n";
+}